@@ -0,0 +1,207 @@
+// Operator-defined alarm rules evaluated against every telemetry frame.
+// A rule is a single comparison such as `battery < 25`, `abs(roll) > 30`
+// or `system_status == CRITICAL`; expressions are parsed, never eval'd.
+const ALARM_SEVERITIES = ["info", "warning", "critical"];
+const ALARM_RULES_KEY = "krakatau.alarmRules";
+
+const DEFAULT_ALARM_RULES = [
+	{ id: "battery-low", expression: "battery < 25", severity: "warning", hysteresis: 2, enabled: true },
+	{ id: "roll-high", expression: "abs(roll) > 30", severity: "warning", hysteresis: 5, enabled: true },
+	{ id: "depth-max", expression: "depth > 40", severity: "critical", hysteresis: 1, enabled: true },
+	{ id: "system-critical", expression: "system_status == CRITICAL", severity: "critical", hysteresis: 0, enabled: true },
+];
+
+const ALARM_FUNCTIONS = {
+	abs: Math.abs,
+};
+
+const ALARM_COMPARATORS = {
+	"<": (a, b) => a < b,
+	"<=": (a, b) => a <= b,
+	">": (a, b) => a > b,
+	">=": (a, b) => a >= b,
+	"==": (a, b) => a === b,
+	"!=": (a, b) => a !== b,
+};
+
+const parseAlarmRule = (expression) => {
+	const match = String(expression)
+		.trim()
+		.match(/^(?:(\w+)\(\s*(\w+)\s*\)|(\w+))\s*(<=|>=|==|!=|<|>)\s*(.+)$/);
+	if (!match) throw new Error(`Cannot parse "${expression}", expected e.g. "battery < 25"`);
+
+	const [, fn, fnField, plainField, op, rawValue] = match;
+	if (fn && !ALARM_FUNCTIONS[fn]) throw new Error(`Unknown function "${fn}"`);
+
+	const text = rawValue.trim().replace(/^(["'])(.*)\1$/, "$2");
+	const numeric = text !== "" && !Number.isNaN(Number(text));
+	if (!numeric && op !== "==" && op !== "!=") {
+		throw new Error(`"${op}" needs a number, got "${text}"`);
+	}
+
+	return {
+		fn: fn || null,
+		field: fn ? fnField : plainField,
+		op,
+		value: numeric ? Number(text) : text,
+		numeric,
+	};
+};
+
+const loadAlarmRules = () => {
+	try {
+		const stored = JSON.parse(localStorage.getItem(ALARM_RULES_KEY));
+		return Array.isArray(stored) ? stored : DEFAULT_ALARM_RULES.map((rule) => ({ ...rule }));
+	} catch (error) {
+		return DEFAULT_ALARM_RULES.map((rule) => ({ ...rule }));
+	}
+};
+
+const saveAlarmRules = (rules) => {
+	localStorage.setItem(ALARM_RULES_KEY, JSON.stringify(rules));
+};
+
+const createAlarmEngine = () => {
+	const listeners = {
+		raise: new Set(),
+		clear: new Set(),
+		change: new Set(),
+	};
+
+	let compiled = [];
+	// ruleId -> alarm; an alarm stays listed until it has cleared and been acknowledged
+	const alarms = new Map();
+
+	const emit = (event, payload) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Alarm ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const read = (rule, data) => {
+		const raw = data[rule.parsed.field];
+		if (raw === undefined || raw === null || raw === "") return undefined;
+		if (!rule.parsed.numeric) return String(raw);
+		const value = Number(raw);
+		if (Number.isNaN(value)) return undefined;
+		return rule.parsed.fn ? ALARM_FUNCTIONS[rule.parsed.fn](value) : value;
+	};
+
+	// While active, a numeric alarm only clears once the value is `hysteresis`
+	// past the threshold, so a reading hovering on the limit does not flap.
+	const triggered = (rule, value, active) => {
+		const { op, value: threshold, numeric } = rule.parsed;
+		const margin = numeric && active ? Number(rule.hysteresis) || 0 : 0;
+		if (op === "<" || op === "<=") return ALARM_COMPARATORS[op](value, threshold + margin);
+		if (op === ">" || op === ">=") return ALARM_COMPARATORS[op](value, threshold - margin);
+		return ALARM_COMPARATORS[op](value, threshold);
+	};
+
+	const snapshot = () =>
+		[...alarms.values()].map((alarm) => ({ ...alarm })).sort(
+			(a, b) =>
+				ALARM_SEVERITIES.indexOf(b.severity) - ALARM_SEVERITIES.indexOf(a.severity) ||
+				b.raisedAt - a.raisedAt
+		);
+
+	return {
+		get alarms() {
+			return snapshot();
+		},
+
+		// A rule that does not parse is left out instead of taking the others
+		// down with it; returns those as `{ rule, error }`
+		setRules(rules) {
+			const skipped = [];
+			compiled = [];
+			rules
+				.filter((rule) => rule.enabled)
+				.forEach((rule) => {
+					try {
+						compiled.push({ ...rule, parsed: parseAlarmRule(rule.expression) });
+					} catch (error) {
+						skipped.push({ rule, error });
+					}
+				});
+			const ids = new Set(compiled.map((rule) => rule.id));
+			alarms.forEach((alarm, id) => {
+				if (!ids.has(id)) alarms.delete(id);
+			});
+			emit("change", snapshot());
+			return skipped;
+		},
+
+		evaluate(data) {
+			let changed = false;
+			const now = Date.now();
+
+			compiled.forEach((rule) => {
+				const value = read(rule, data);
+				if (value === undefined) return;
+
+				const alarm = alarms.get(rule.id);
+				const active = Boolean(alarm && alarm.active);
+				const firing = triggered(rule, value, active);
+
+				if (firing && !active) {
+					const raised = {
+						ruleId: rule.id,
+						expression: rule.expression,
+						severity: rule.severity,
+						value,
+						active: true,
+						acknowledged: false,
+						raisedAt: now,
+						clearedAt: null,
+					};
+					alarms.set(rule.id, raised);
+					emit("raise", raised);
+					changed = true;
+				} else if (firing) {
+					if (alarm.value !== value) changed = true;
+					alarm.value = value;
+				} else if (active) {
+					alarm.active = false;
+					alarm.clearedAt = now;
+					alarm.value = value;
+					if (alarm.acknowledged) alarms.delete(rule.id);
+					emit("clear", alarm);
+					changed = true;
+				}
+			});
+
+			if (changed) emit("change", snapshot());
+		},
+
+		acknowledge(ruleId) {
+			const alarm = alarms.get(ruleId);
+			if (!alarm) return;
+			alarm.acknowledged = true;
+			if (!alarm.active) alarms.delete(ruleId);
+			emit("change", snapshot());
+		},
+
+		acknowledgeAll() {
+			[...alarms.keys()].forEach((ruleId) => {
+				const alarm = alarms.get(ruleId);
+				alarm.acknowledged = true;
+				if (!alarm.active) alarms.delete(ruleId);
+			});
+			emit("change", snapshot());
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown alarm event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
@@ -0,0 +1,381 @@
+// Image annotation for gallery captures: bounding boxes and polygons with a
+// class label and a free-text note, kept in image pixel coordinates on the
+// capture record. Exported as a COCO JSON dataset and as YOLO label files;
+// YOLO gets the bounding box of every shape, polygons included.
+const ANNOTATION_CLASSES_KEY = "krakatau.annotationClasses";
+const DEFAULT_ANNOTATION_CLASSES = ["corrosion", "debris", "marine_growth"];
+
+const ANNOTATION_COLORS = ["#00ff88", "#ffaa00", "#00d9ff", "#ff4d6d", "#c77dff", "#ffd60a"];
+
+const loadAnnotationClasses = () => {
+	try {
+		const stored = JSON.parse(localStorage.getItem(ANNOTATION_CLASSES_KEY));
+		return Array.isArray(stored) && stored.length ? stored : [...DEFAULT_ANNOTATION_CLASSES];
+	} catch (error) {
+		return [...DEFAULT_ANNOTATION_CLASSES];
+	}
+};
+
+const saveAnnotationClasses = (classes) => {
+	localStorage.setItem(ANNOTATION_CLASSES_KEY, JSON.stringify(classes));
+};
+
+// `[x, y, width, height]` around a list of `[x, y]` points
+const annotationBounds = (points) => {
+	const xs = points.map((p) => p[0]);
+	const ys = points.map((p) => p[1]);
+	const x = Math.min(...xs);
+	const y = Math.min(...ys);
+	return [x, y, Math.max(...xs) - x, Math.max(...ys) - y];
+};
+
+const polygonArea = (points) => {
+	let sum = 0;
+	points.forEach((p, i) => {
+		const q = points[(i + 1) % points.length];
+		sum += p[0] * q[1] - q[0] * p[1];
+	});
+	return Math.abs(sum) / 2;
+};
+
+// Boxes are stored with their four corners so both shapes share `points`
+const boxPoints = (x, y, width, height) => [
+	[x, y],
+	[x + width, y],
+	[x + width, y + height],
+	[x, y + height],
+];
+
+const createAnnotator = (canvas, image, options = {}) => {
+	const settings = {
+		minSize: 4, // image pixels, smaller boxes are treated as clicks
+		closeRadius: 10, // screen pixels around the first polygon vertex
+		onChange: () => {},
+		onSelect: () => {},
+		...options,
+	};
+
+	const ctx = canvas.getContext("2d");
+	let annotations = [];
+	let classes = [];
+	let tool = "box";
+	let label = "";
+	let selected = null;
+	let draft = null; // box being dragged or polygon being clicked
+	let nextId = 1;
+
+	// Image pixels per canvas pixel
+	const scale = () => image.naturalWidth / canvas.width || 1;
+
+	const resize = () => {
+		canvas.width = image.clientWidth;
+		canvas.height = image.clientHeight;
+	};
+
+	const eventPoint = (event) => {
+		const rect = canvas.getBoundingClientRect();
+		const s = scale();
+		return [
+			Math.max(0, Math.min(image.naturalWidth, (event.clientX - rect.left) * s)),
+			Math.max(0, Math.min(image.naturalHeight, (event.clientY - rect.top) * s)),
+		];
+	};
+
+	const colorOf = (name) => {
+		const index = classes.indexOf(name);
+		return ANNOTATION_COLORS[(index === -1 ? 0 : index) % ANNOTATION_COLORS.length];
+	};
+
+	const contains = (annotation, [x, y]) => {
+		let inside = false;
+		const points = annotation.points;
+		for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+			const [xi, yi] = points[i];
+			const [xj, yj] = points[j];
+			if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+		}
+		return inside;
+	};
+
+	const changed = () => settings.onChange(annotations.map((a) => ({ ...a, points: a.points.map((p) => [...p]) })));
+
+	const add = (type, points) => {
+		annotations.push({
+			id: nextId++,
+			type,
+			label,
+			note: "",
+			points: points.map(([x, y]) => [Math.round(x), Math.round(y)]),
+		});
+		selected = annotations[annotations.length - 1].id;
+		settings.onSelect(selected);
+		changed();
+	};
+
+	const closePolygon = () => {
+		if (draft && draft.type === "polygon" && draft.points.length >= 3) add("polygon", draft.points);
+		draft = null;
+	};
+
+	const path = (points, close) => {
+		const s = scale();
+		ctx.beginPath();
+		points.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x / s, y / s) : ctx.lineTo(x / s, y / s)));
+		if (close) ctx.closePath();
+	};
+
+	const draw = () => {
+		ctx.clearRect(0, 0, canvas.width, canvas.height);
+		ctx.lineWidth = 2;
+		ctx.font = "12px monospace";
+		annotations.forEach((annotation) => {
+			const color = colorOf(annotation.label);
+			path(annotation.points, true);
+			ctx.strokeStyle = color;
+			ctx.fillStyle = annotation.id === selected ? `${color}55` : `${color}22`;
+			ctx.fill();
+			ctx.stroke();
+			const [x, y] = annotation.points[0];
+			const s = scale();
+			ctx.fillStyle = color;
+			ctx.fillText(annotation.label || "(unlabelled)", x / s + 3, Math.max(12, y / s - 4));
+		});
+		if (draft) {
+			ctx.strokeStyle = "#ffffff";
+			ctx.setLineDash([4, 3]);
+			path(draft.points, draft.type === "box");
+			ctx.stroke();
+			ctx.setLineDash([]);
+		}
+	};
+
+	const onMouseDown = (event) => {
+		if (event.button !== 0) return;
+		const point = eventPoint(event);
+		if (tool === "box") {
+			draft = { type: "box", start: point, points: boxPoints(point[0], point[1], 0, 0) };
+		} else if (tool === "polygon") {
+			const s = scale();
+			const first = draft && draft.points[0];
+			const nearFirst = first && Math.hypot(first[0] - point[0], first[1] - point[1]) / s <= settings.closeRadius;
+			if (nearFirst && draft.points.length >= 3) {
+				closePolygon();
+			} else {
+				draft = draft || { type: "polygon", points: [] };
+				draft.points.push(point);
+			}
+		} else {
+			const hit = [...annotations].reverse().find((annotation) => contains(annotation, point));
+			selected = hit ? hit.id : null;
+			settings.onSelect(selected);
+		}
+		draw();
+	};
+
+	const onMouseMove = (event) => {
+		if (!draft || draft.type !== "box") return;
+		const [x, y] = eventPoint(event);
+		const [sx, sy] = draft.start;
+		draft.points = boxPoints(Math.min(sx, x), Math.min(sy, y), Math.abs(x - sx), Math.abs(y - sy));
+		draw();
+	};
+
+	const onMouseUp = () => {
+		if (!draft || draft.type !== "box") return;
+		const [, , width, height] = annotationBounds(draft.points);
+		if (width >= settings.minSize && height >= settings.minSize) add("box", draft.points);
+		draft = null;
+		draw();
+	};
+
+	const onDoubleClick = () => {
+		// The second click of the double-click added a duplicate vertex
+		if (draft && draft.type === "polygon" && draft.points.length > 1) {
+			const [a, b] = draft.points.slice(-2);
+			if (Math.hypot(a[0] - b[0], a[1] - b[1]) / scale() <= settings.closeRadius) draft.points.pop();
+		}
+		closePolygon();
+		draw();
+	};
+
+	canvas.addEventListener("mousedown", onMouseDown);
+	canvas.addEventListener("mousemove", onMouseMove);
+	window.addEventListener("mouseup", onMouseUp);
+	canvas.addEventListener("dblclick", onDoubleClick);
+
+	return {
+		get annotations() {
+			return annotations.map((a) => ({ ...a, points: a.points.map((p) => [...p]) }));
+		},
+
+		get selected() {
+			return selected;
+		},
+
+		setAnnotations(list) {
+			annotations = (list || []).map((a) => ({ ...a, points: a.points.map((p) => [...p]) }));
+			nextId = annotations.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+			selected = null;
+			draft = null;
+			resize();
+			draw();
+		},
+
+		setClasses(list) {
+			classes = [...list];
+			draw();
+		},
+
+		// "box", "polygon" or "select"
+		setTool(next) {
+			tool = next;
+			draft = null;
+			canvas.style.cursor = next === "select" ? "pointer" : "crosshair";
+			draw();
+		},
+
+		setLabel(next) {
+			label = next;
+		},
+
+		select(id) {
+			selected = id;
+			draw();
+		},
+
+		update(id, changes) {
+			const annotation = annotations.find((a) => a.id === id);
+			if (!annotation) return;
+			Object.assign(annotation, changes);
+			changed();
+			draw();
+		},
+
+		remove(id) {
+			annotations = annotations.filter((a) => a.id !== id);
+			if (selected === id) selected = null;
+			changed();
+			draw();
+		},
+
+		// Drops an unfinished polygon, e.g. on Escape
+		cancel() {
+			draft = null;
+			draw();
+		},
+
+		resize() {
+			resize();
+			draw();
+		},
+
+		destroy() {
+			canvas.removeEventListener("mousedown", onMouseDown);
+			canvas.removeEventListener("mousemove", onMouseMove);
+			window.removeEventListener("mouseup", onMouseUp);
+			canvas.removeEventListener("dblclick", onDoubleClick);
+		},
+	};
+};
+
+// `records` are gallery records with `width`, `height` and `annotations`;
+// labels missing from `classes` are appended as extra categories
+const annotationsToCoco = (records, classes) => {
+	const categories = [...classes];
+	records.forEach((record) =>
+		(record.annotations || []).forEach((a) => {
+			if (a.label && !categories.includes(a.label)) categories.push(a.label);
+		})
+	);
+
+	const annotations = [];
+	records.forEach((record) =>
+		(record.annotations || []).forEach((a) => {
+			if (!a.label) return;
+			annotations.push({
+				id: annotations.length + 1,
+				image_id: record.id,
+				category_id: categories.indexOf(a.label) + 1,
+				bbox: annotationBounds(a.points),
+				area: polygonArea(a.points),
+				segmentation: [a.points.flat()],
+				iscrowd: 0,
+				attributes: { type: a.type, note: a.note || "" },
+			});
+		})
+	);
+
+	return {
+		info: {
+			description: "Krakatau Andover captures",
+			date_created: new Date().toISOString(),
+		},
+		images: records.map((record) => ({
+			id: record.id,
+			file_name: captureFileName(record),
+			width: record.width,
+			height: record.height,
+			date_captured: new Date(record.t).toISOString(),
+		})),
+		annotations,
+		categories: categories.map((name, index) => ({ id: index + 1, name, supercategory: "object" })),
+	};
+};
+
+// One line per shape: `class cx cy w h`, normalised to the image size
+const annotationsToYolo = (record, categories) =>
+	(record.annotations || [])
+		.filter((a) => a.label && categories.includes(a.label))
+		.map((a) => {
+			const [x, y, width, height] = annotationBounds(a.points);
+			const values = [
+				(x + width / 2) / record.width,
+				(y + height / 2) / record.height,
+				width / record.width,
+				height / record.height,
+			];
+			return [categories.indexOf(a.label), ...values.map((v) => v.toFixed(6))].join(" ");
+		})
+		.join("\n");
+
+// images/, labels/ (YOLO), classes.txt and annotations.coco.json in one ZIP.
+// Images that cannot be decoded for their size are skipped and annotations
+// without a label left out, each with a warning.
+const exportAnnotationsZip = async (records, classes) => {
+	const warnings = [];
+	const usable = [];
+	for (const record of records) {
+		if (record.width && record.height) {
+			usable.push(record);
+			continue;
+		}
+		try {
+			const bitmap = await createImageBitmap(record.blob);
+			usable.push({ ...record, width: bitmap.width, height: bitmap.height });
+			bitmap.close();
+		} catch (error) {
+			warnings.push(`${captureFileName(record)}: image could not be decoded, skipped`);
+		}
+	}
+	if (usable.length === 0) throw new Error("No captures could be exported");
+	usable.forEach((record) => {
+		const unlabelled = (record.annotations || []).filter((a) => !a.label).length;
+		if (unlabelled) warnings.push(`${captureFileName(record)}: ${unlabelled} annotation(s) without a label left out`);
+	});
+
+	const coco = annotationsToCoco(usable, classes);
+	const categories = coco.categories.map((category) => category.name);
+	const encoder = new TextEncoder();
+	const files = [];
+	for (const record of usable) {
+		const name = captureFileName(record);
+		files.push({ name: `images/${name}`, bytes: new Uint8Array(await record.blob.arrayBuffer()), t: record.t });
+		const labels = annotationsToYolo(record, categories);
+		files.push({ name: `labels/${name.replace(/\.jpg$/, ".txt")}`, bytes: encoder.encode(labels ? `${labels}\n` : "") });
+	}
+	files.push(
+		{ name: "classes.txt", bytes: encoder.encode(`${categories.join("\n")}\n`) },
+		{ name: "annotations.coco.json", bytes: encoder.encode(JSON.stringify(coco, null, 2)) }
+	);
+	return { blob: createZip(files), warnings, images: usable.length };
+};
@@ -0,0 +1,138 @@
+// Audit trail of operator actions: who did what and when, the payload that
+// was sent and how the server answered. Entries stay in IndexedDB across page
+// loads, oldest dropped past `limit`, and export as CSV or JSON Lines.
+const AUDIT_COLUMNS = ["time", "user", "role", "action", "source", "outcome", "status", "payload", "response", "error"];
+
+const createAuditLog = (options = {}) => {
+	const settings = {
+		dbName: "krakatau-audit",
+		limit: 10000,
+		...options,
+	};
+
+	const listeners = {
+		entry: new Set(),
+	};
+
+	let db = null;
+
+	const emit = (event, payload) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Audit ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const request = (req) =>
+		new Promise((resolve, reject) => {
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		});
+
+	const openDb = () => {
+		if (db) return Promise.resolve(db);
+		const req = indexedDB.open(settings.dbName, 1);
+		req.onupgradeneeded = () => {
+			const entries = req.result.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+			entries.createIndex("t", "t");
+		};
+		return request(req).then((result) => {
+			db = result;
+			return db;
+		});
+	};
+
+	const prune = async () => {
+		const store = db.transaction("entries", "readwrite").objectStore("entries");
+		let excess = (await request(store.count())) - settings.limit;
+		if (excess <= 0) return;
+		const cursors = store.index("t").openCursor();
+		await new Promise((resolve, reject) => {
+			cursors.onsuccess = () => {
+				const cursor = cursors.result;
+				if (!cursor || excess <= 0) return resolve();
+				cursor.delete();
+				excess -= 1;
+				cursor.continue();
+			};
+			cursors.onerror = () => reject(cursors.error);
+		});
+	};
+
+	return {
+		// `entry` is `{ user, role, action, source, payload, outcome, status,
+		// response, error }`; the payload is stored as a plain copy
+		async add(entry) {
+			await openDb();
+			const record = {
+				t: entry.t || Date.now(),
+				user: entry.user || "",
+				role: entry.role || "",
+				action: entry.action,
+				source: entry.source || "user",
+				payload: entry.payload === undefined ? null : JSON.parse(JSON.stringify(entry.payload)),
+				outcome: entry.outcome,
+				status: entry.status ?? null,
+				response: entry.response === undefined ? null : entry.response,
+				error: entry.error || "",
+			};
+			const tx = db.transaction("entries", "readwrite");
+			record.id = await request(tx.objectStore("entries").add(record));
+			emit("entry", record);
+			await prune();
+			return record;
+		},
+
+		// Newest first
+		async list({ limit = Infinity } = {}) {
+			await openDb();
+			const records = await request(db.transaction("entries").objectStore("entries").index("t").getAll());
+			return records.reverse().slice(0, limit);
+		},
+
+		async clear() {
+			await openDb();
+			const tx = db.transaction("entries", "readwrite");
+			await request(tx.objectStore("entries").clear());
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown audit event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
+
+const auditRow = (entry) => ({
+	...entry,
+	time: new Date(entry.t).toISOString(),
+	payload: entry.payload === null ? "" : JSON.stringify(entry.payload),
+	response: entry.response === null ? "" : JSON.stringify(entry.response),
+});
+
+// Oldest first, as an investigation reads them. `csvCell` is shared with the
+// gallery export.
+const auditToCsv = (entries) =>
+	[
+		AUDIT_COLUMNS.join(","),
+		...[...entries]
+			.sort((a, b) => a.t - b.t)
+			.map((entry) => {
+				const row = auditRow(entry);
+				return AUDIT_COLUMNS.map((column) => csvCell(row[column])).join(",");
+			}),
+	].join("\n") + "\n";
+
+const auditToJsonl = (entries) =>
+	[...entries]
+		.sort((a, b) => a.t - b.t)
+		.map((entry) => JSON.stringify({ time: new Date(entry.t).toISOString(), ...entry }))
+		.join("\n") + "\n";
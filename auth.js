@@ -0,0 +1,196 @@
+// Control-mode login. Credentials are checked by the backend
+// (`POST /auth/login`), which answers with a bearer token and its lifetime.
+// The token is kept in sessionStorage, so it survives a reload but not the
+// tab, and is attached to every request that goes to the GCS server. A 401
+// from the server or the token running out ends the session with "expired".
+const AUTH_STORAGE_KEY = "krakatau.auth";
+
+const createAuthSession = (options = {}) => {
+	const settings = {
+		baseUrl: "http://localhost:5001",
+		loginPath: "/auth/login",
+		logoutPath: "/auth/logout",
+		storage: window.sessionStorage,
+		...options,
+	};
+
+	const listeners = {
+		change: new Set(),
+		expired: new Set(),
+	};
+
+	let session = null; // { token, user, expiresAt }
+	let expiryTimer = null;
+
+	const emit = (event, payload) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Auth ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const isValid = (candidate) => Boolean(candidate && candidate.token && candidate.expiresAt > Date.now());
+
+	const targetsServer = (url) => String(url).startsWith(settings.baseUrl);
+
+	const set = (next) => {
+		clearTimeout(expiryTimer);
+		expiryTimer = null;
+		session = next;
+		if (session) {
+			settings.storage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+			// setTimeout overflows past ~24.8 days, a later check re-arms it
+			const delay = Math.min(session.expiresAt - Date.now(), 2 ** 31 - 1);
+			expiryTimer = setTimeout(() => {
+				if (!isValid(session)) expire("Session expired");
+				else set(session);
+			}, Math.max(0, delay));
+		} else {
+			settings.storage.removeItem(AUTH_STORAGE_KEY);
+		}
+		emit("change", session ? session.user : null);
+	};
+
+	const expire = (reason) => {
+		if (!session) return;
+		const { user } = session;
+		set(null);
+		emit("expired", { reason, user });
+	};
+
+	// Only a 401 for the current token ends the session; a request that was
+	// still in flight with an older one does not log the new one out
+	const rejected = (authorization) => {
+		if (session && authorization === `Bearer ${session.token}`) expire("Session rejected by the server");
+	};
+
+	const authHeaders = (url) => (session && targetsServer(url) ? { Authorization: `Bearer ${session.token}` } : {});
+
+	// Tells the server to drop the current token; its answer does not matter
+	const revoke = async () => {
+		const url = `${settings.baseUrl}${settings.logoutPath}`;
+		const headers = authHeaders(url);
+		try {
+			await fetch(url, { method: "POST", headers });
+		} catch (error) {
+			console.warn("Logout request failed:", error.message);
+		}
+	};
+
+	const restore = () => {
+		try {
+			const stored = JSON.parse(settings.storage.getItem(AUTH_STORAGE_KEY));
+			if (isValid(stored)) set(stored);
+			else settings.storage.removeItem(AUTH_STORAGE_KEY);
+		} catch (error) {
+			settings.storage.removeItem(AUTH_STORAGE_KEY);
+		}
+	};
+
+	restore();
+
+	return {
+		get active() {
+			return isValid(session);
+		},
+
+		get user() {
+			return session ? session.user : null;
+		},
+
+		get expiresAt() {
+			return session ? session.expiresAt : null;
+		},
+
+		// A token issued by another server means nothing here; the old server
+		// is told to drop it so it does not linger there until it runs out
+		setBaseUrl(url) {
+			if (url === settings.baseUrl) return;
+			if (session) revoke();
+			settings.baseUrl = url;
+			expire("GCS address changed");
+		},
+
+		// Resolves with the user the server logged in, rejects with the server's message
+		async login(username, password) {
+			let response;
+			try {
+				response = await fetch(`${settings.baseUrl}${settings.loginPath}`, {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({ username, password }),
+				});
+			} catch (error) {
+				throw new Error("Login server unreachable");
+			}
+			const body = await response.json().catch(() => ({}));
+			if (!response.ok) {
+				const fallback = response.status === 401 ? "Invalid username or password" : `HTTP ${response.status}`;
+				throw new Error(body.message || fallback);
+			}
+			if (!body.token || !Number(body.expires_in)) throw new Error("Login response has no token");
+			set({
+				token: body.token,
+				user: body.user || { username },
+				expiresAt: Date.now() + Number(body.expires_in) * 1000,
+			});
+			return session.user;
+		},
+
+		// The server is told to drop the token, but a failure there does not
+		// keep the user logged in
+		async logout() {
+			if (!session) return;
+			const revoking = revoke();
+			set(null);
+			await revoking;
+		},
+
+		expire,
+
+		headers: authHeaders,
+
+		// fetch() with the token attached; a 401 ends the session
+		async fetch(url, init = {}) {
+			const headers = authHeaders(url);
+			const response = await fetch(url, { ...init, headers: { ...init.headers, ...headers } });
+			if (response.status === 401) rejected(headers.Authorization);
+			return response;
+		},
+
+		// Adds the token to every request of an axios instance; returns a
+		// function that removes the interceptors again
+		install(client) {
+			const request = client.interceptors.request.use((config) => {
+				Object.assign(config.headers, authHeaders(client.getUri(config)));
+				return config;
+			});
+			const response = client.interceptors.response.use(
+				(result) => result,
+				(error) => {
+					if (error.response && error.response.status === 401) {
+						rejected(error.config && error.config.headers && error.config.headers.Authorization);
+					}
+					return Promise.reject(error);
+				}
+			);
+			return () => {
+				client.interceptors.request.eject(request);
+				client.interceptors.response.eject(response);
+			};
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown auth event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
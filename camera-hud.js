@@ -0,0 +1,169 @@
+// Heads-up display drawn over a camera view: heading tape, pitch ladder and
+// roll, depth/altitude, battery, current waypoint and clock. The canvas sits
+// on top of the stream image and is sized to it on every draw; angles come
+// from telemetry in degrees.
+const HUD_SETTINGS_KEY = "krakatau.hud";
+
+const HUD_COLORS = {
+	main: "#00ff88",
+	warn: "#ffc107",
+	alarm: "#dc3545",
+	shadow: "rgba(0, 0, 0, 0.8)",
+};
+
+const loadHudSettings = () => {
+	try {
+		return { surface: false, underwater: false, ...JSON.parse(localStorage.getItem(HUD_SETTINGS_KEY)) };
+	} catch (error) {
+		return { surface: false, underwater: false };
+	}
+};
+
+const saveHudSettings = (settings) => {
+	localStorage.setItem(HUD_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const createCameraHud = (canvas, options = {}) => {
+	const settings = {
+		tapeSpan: 90, // degrees of heading visible across the tape
+		pitchScale: 4, // pixels per degree at 300 px height
+		lowBattery: 25, // percent
+		...options,
+	};
+
+	const number = (value) => {
+		const parsed = Number(value);
+		return value === null || value === undefined || value === "" || !Number.isFinite(parsed) ? null : parsed;
+	};
+
+	const resize = () => {
+		const ratio = window.devicePixelRatio || 1;
+		const width = Math.round(canvas.clientWidth * ratio);
+		const height = Math.round(canvas.clientHeight * ratio);
+		if (canvas.width !== width || canvas.height !== height) {
+			canvas.width = width;
+			canvas.height = height;
+		}
+		return ratio;
+	};
+
+	const text = (ctx, value, x, y, align = "left", color = HUD_COLORS.main) => {
+		ctx.textAlign = align;
+		ctx.fillStyle = HUD_COLORS.shadow;
+		ctx.fillText(value, x + 1, y + 1);
+		ctx.fillStyle = color;
+		ctx.fillText(value, x, y);
+	};
+
+	const drawHeadingTape = (ctx, yaw, width, unit) => {
+		const center = width / 2;
+		const top = 6 * unit;
+		const pxPerDeg = (width * 0.6) / settings.tapeSpan;
+		const cardinals = { 0: "N", 90: "E", 180: "S", 270: "W" };
+
+		ctx.beginPath();
+		for (let offset = -settings.tapeSpan / 2; offset <= settings.tapeSpan / 2; offset += 1) {
+			const deg = Math.round(yaw) + offset;
+			const wrapped = ((deg % 360) + 360) % 360;
+			if (wrapped % 5 !== 0) continue;
+			const x = center + (deg - yaw) * pxPerDeg;
+			const major = wrapped % 15 === 0;
+			ctx.moveTo(x, top);
+			ctx.lineTo(x, top + (major ? 10 : 5) * unit);
+			if (wrapped % 30 === 0) text(ctx, cardinals[wrapped] || String(wrapped), x, top + 22 * unit, "center");
+		}
+		ctx.stroke();
+
+		// Pointer and readout
+		ctx.beginPath();
+		ctx.moveTo(center, top + 12 * unit);
+		ctx.lineTo(center - 5 * unit, top + 18 * unit);
+		ctx.moveTo(center, top + 12 * unit);
+		ctx.lineTo(center + 5 * unit, top + 18 * unit);
+		ctx.stroke();
+		text(ctx, `${String(Math.round(((yaw % 360) + 360) % 360)).padStart(3, "0")}\u00b0`, center, top + 36 * unit, "center");
+	};
+
+	const drawAttitude = (ctx, pitch, roll, width, height, unit) => {
+		const cx = width / 2;
+		const cy = height / 2;
+		const pxPerDeg = (settings.pitchScale * height) / 300;
+
+		ctx.save();
+		ctx.translate(cx, cy);
+		ctx.rotate((-roll * Math.PI) / 180);
+		ctx.beginPath();
+		for (let step = -20; step <= 20; step += 10) {
+			const y = (pitch - step) * pxPerDeg;
+			const half = (step === 0 ? 60 : 25) * unit;
+			ctx.moveTo(-half, y);
+			ctx.lineTo(-8 * unit, y);
+			ctx.moveTo(8 * unit, y);
+			ctx.lineTo(half, y);
+			if (step !== 0) text(ctx, String(step), half + 4 * unit, y + 4 * unit);
+		}
+		ctx.stroke();
+		ctx.restore();
+
+		// Fixed vehicle symbol
+		ctx.beginPath();
+		ctx.moveTo(cx - 20 * unit, cy);
+		ctx.lineTo(cx - 6 * unit, cy);
+		ctx.lineTo(cx, cy + 6 * unit);
+		ctx.lineTo(cx + 6 * unit, cy);
+		ctx.lineTo(cx + 20 * unit, cy);
+		ctx.stroke();
+	};
+
+	return {
+		// `extra.waypoint` overrides the "WP n" label, e.g. with mission progress
+		draw(data, extra = {}) {
+			const ratio = resize();
+			const ctx = canvas.getContext("2d");
+			const { width, height } = canvas;
+			ctx.clearRect(0, 0, width, height);
+			if (!data || !width || !height) return;
+
+			const unit = ratio * Math.max(0.7, Math.min(1.2, height / ratio / 300));
+			ctx.font = `${Math.round(12 * unit)}px monospace`;
+			ctx.lineWidth = 1.5 * unit;
+			ctx.strokeStyle = HUD_COLORS.main;
+			ctx.shadowColor = HUD_COLORS.shadow;
+			ctx.shadowBlur = 2 * unit;
+
+			const yaw = number(data.yaw);
+			const pitch = number(data.pitch);
+			const roll = number(data.roll);
+			if (yaw !== null) drawHeadingTape(ctx, yaw, width, unit);
+			if (pitch !== null || roll !== null) drawAttitude(ctx, pitch || 0, roll || 0, width, height, unit);
+
+			const line = 16 * unit;
+			const left = 8 * unit;
+			const right = width - 8 * unit;
+			const middle = height / 2;
+			const depth = number(data.depth);
+			const alt = number(data.alt);
+			text(ctx, `DEPTH ${depth === null ? "--" : depth.toFixed(1)} m`, left, middle - line / 2);
+			text(ctx, `ALT   ${alt === null ? "--" : alt.toFixed(1)} m`, left, middle + line);
+			if (pitch !== null) text(ctx, `P ${pitch.toFixed(1)}\u00b0`, right, middle - line / 2, "right");
+			if (roll !== null) text(ctx, `R ${roll.toFixed(1)}\u00b0`, right, middle + line, "right");
+
+			const battery = number(data.battery);
+			let batteryColor = HUD_COLORS.main;
+			if (battery !== null && battery <= settings.lowBattery) batteryColor = HUD_COLORS.warn;
+			if (battery !== null && battery <= settings.lowBattery / 2) batteryColor = HUD_COLORS.alarm;
+			text(ctx, `BAT ${battery === null ? "--" : battery.toFixed(0)}%`, left, height - line, "left", batteryColor);
+
+			const wp = extra.waypoint || `WP ${data.current_wp ?? "--"}`;
+			text(ctx, wp, left, height - 2.2 * line);
+
+			const clock = data.time || new Date().toTimeString().slice(0, 8);
+			text(ctx, clock, right, height - line, "right");
+			if (data.mode) text(ctx, String(data.mode), right, height - 2.2 * line, "right");
+		},
+
+		clear() {
+			canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+		},
+	};
+};
@@ -0,0 +1,143 @@
+// Records a live camera view to WebM in the browser. The source image is
+// redrawn into a canvas at a fixed rate, optionally with telemetry burned in,
+// and the canvas stream is encoded by MediaRecorder; the backend is not
+// involved. Frames come from the stream monitor's blob URLs, so the canvas
+// is never tainted by a cross-origin image.
+const VIDEO_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+const pickVideoMimeType = () =>
+	typeof MediaRecorder === "undefined"
+		? null
+		: VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+
+const videoFileName = (video) => {
+	const stamp = new Date(video.startedAt).toISOString().replace(/[-:]/g, "").replace("T", "_").substring(0, 15);
+	return `${video.camera}_${stamp}.webm`;
+};
+
+const formatVideoDuration = (ms) => {
+	const total = Math.floor(ms / 1000);
+	const pad = (n) => String(n).padStart(2, "0");
+	return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+};
+
+// Burned-in caption along the bottom edge, sized to the frame
+const drawTelemetryOverlay = (ctx, data, width, height) => {
+	if (!data) return;
+	const value = (field, digits) => {
+		const number = Number(data[field]);
+		return Number.isFinite(number) ? number.toFixed(digits) : "--";
+	};
+	const lines = [
+		`${data.date || ""} ${data.time || ""}`.trim() || new Date().toISOString().replace("T", " ").slice(0, 19),
+		`LAT ${value("lat", 6)}  LON ${value("long", 6)}`,
+		`HDG ${value("yaw", 0)}\u00b0  DEPTH ${value("depth", 1)} m  ALT ${value("alt", 1)} m`,
+		`${data.mode || "--"}  WP ${data.current_wp ?? "--"}  BAT ${value("battery", 0)}%`,
+	];
+	const size = Math.max(12, Math.round(height / 30));
+	const lineHeight = Math.round(size * 1.3);
+	const boxHeight = lines.length * lineHeight + size / 2;
+
+	ctx.save();
+	ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+	ctx.fillRect(0, height - boxHeight, width, boxHeight);
+	ctx.font = `${size}px monospace`;
+	ctx.fillStyle = "#ffffff";
+	ctx.textBaseline = "top";
+	lines.forEach((line, index) => ctx.fillText(line, size / 2, height - boxHeight + size / 4 + index * lineHeight));
+	ctx.restore();
+};
+
+const createCameraRecorder = (options = {}) => {
+	const settings = {
+		fps: 10,
+		width: 640, // used until the source has decoded a frame
+		height: 480,
+		bitsPerSecond: 2500000,
+		timeslice: 1000, // ms per recorded chunk
+		...options,
+	};
+
+	let recorder = null;
+	let canvas = null;
+	let drawTimer = null;
+	let chunks = [];
+	let startedAt = null;
+	let mimeType = null;
+
+	const drawFrame = (source, telemetry) => {
+		const ctx = canvas.getContext("2d");
+		ctx.fillStyle = "#000000";
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		if (source.complete && source.naturalWidth) {
+			const scale = Math.min(canvas.width / source.naturalWidth, canvas.height / source.naturalHeight);
+			const w = source.naturalWidth * scale;
+			const h = source.naturalHeight * scale;
+			ctx.drawImage(source, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+		}
+		if (telemetry) drawTelemetryOverlay(ctx, telemetry(), canvas.width, canvas.height);
+	};
+
+	return {
+		get recording() {
+			return recorder !== null;
+		},
+
+		get startedAt() {
+			return startedAt;
+		},
+
+		// `source` is the <img> showing the stream; `telemetry` returns the frame
+		// to burn in, or is null for a clean recording
+		start(source, { telemetry = null } = {}) {
+			if (recorder) throw new Error("Already recording");
+			mimeType = pickVideoMimeType();
+			if (!mimeType) throw new Error("WebM recording is not supported by this browser");
+
+			canvas = document.createElement("canvas");
+			canvas.width = source.naturalWidth || settings.width;
+			canvas.height = source.naturalHeight || settings.height;
+			drawFrame(source, telemetry);
+			drawTimer = setInterval(() => drawFrame(source, telemetry), 1000 / settings.fps);
+
+			chunks = [];
+			recorder = new MediaRecorder(canvas.captureStream(settings.fps), {
+				mimeType,
+				videoBitsPerSecond: settings.bitsPerSecond,
+			});
+			recorder.ondataavailable = (event) => {
+				if (event.data && event.data.size) chunks.push(event.data);
+			};
+			recorder.start(settings.timeslice);
+			startedAt = Date.now();
+		},
+
+		// Resolves with the finished recording once the last chunk is flushed
+		stop() {
+			if (!recorder) return Promise.resolve(null);
+			const active = recorder;
+			return new Promise((resolve, reject) => {
+				active.onstop = () => {
+					const endedAt = Date.now();
+					resolve({
+						blob: new Blob(chunks, { type: mimeType }),
+						mimeType,
+						startedAt,
+						endedAt,
+						duration: endedAt - startedAt,
+						width: canvas.width,
+						height: canvas.height,
+					});
+					chunks = [];
+					canvas = null;
+					startedAt = null;
+				};
+				active.onerror = (event) => reject(event.error || new Error("Recording failed"));
+				clearInterval(drawTimer);
+				drawTimer = null;
+				recorder = null;
+				active.stop();
+			});
+		},
+	};
+};
@@ -0,0 +1,138 @@
+// Keeps every camera capture in IndexedDB with the telemetry at capture time
+// and a small JPEG thumbnail, so earlier images stay browsable and geotagged.
+// The snapshot keeps every telemetry field; these come first wherever it is listed.
+const GALLERY_TELEMETRY_FIELDS = ["lat", "long", "alt", "depth", "yaw", "pitch", "roll", "date", "time"];
+
+// The fields above, then any others the snapshots carry
+const galleryTelemetryFields = (...snapshots) => {
+	const extra = new Set();
+	snapshots.forEach((telemetry) =>
+		Object.keys(telemetry || {}).forEach((field) => {
+			if (!GALLERY_TELEMETRY_FIELDS.includes(field)) extra.add(field);
+		})
+	);
+	return [...GALLERY_TELEMETRY_FIELDS, ...[...extra].sort()];
+};
+
+// Lists and waypoint objects are shown and exported as JSON
+const galleryTelemetryValue = (value) =>
+	value !== null && typeof value === "object" ? JSON.stringify(value) : value ?? null;
+
+const createCaptureGallery = (options = {}) => {
+	const settings = {
+		dbName: "krakatau-gallery",
+		thumbSize: 160, // pixels, longest side
+		...options,
+	};
+
+	let db = null;
+
+	const request = (req) =>
+		new Promise((resolve, reject) => {
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		});
+
+	const openDb = () => {
+		if (db) return Promise.resolve(db);
+		const req = indexedDB.open(settings.dbName, 1);
+		req.onupgradeneeded = () => {
+			const captures = req.result.createObjectStore("captures", { keyPath: "id", autoIncrement: true });
+			captures.createIndex("t", "t");
+		};
+		return request(req).then((result) => {
+			db = result;
+			return db;
+		});
+	};
+
+	// Falls back to the full image where decoding is unavailable
+	const makeThumbnail = async (blob) => {
+		try {
+			const bitmap = await createImageBitmap(blob);
+			const ratio = settings.thumbSize / Math.max(bitmap.width, bitmap.height);
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.max(1, Math.round(bitmap.width * Math.min(1, ratio)));
+			canvas.height = Math.max(1, Math.round(bitmap.height * Math.min(1, ratio)));
+			canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+			bitmap.close();
+			const thumb = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.7));
+			return thumb || blob;
+		} catch (error) {
+			return blob;
+		}
+	};
+
+	return {
+		// A plain copy, IndexedDB cannot store the reactive proxies Alpine hands out
+		snapshot(data) {
+			return {
+				...Object.fromEntries(GALLERY_TELEMETRY_FIELDS.map((field) => [field, null])),
+				...JSON.parse(JSON.stringify(data || {})),
+			};
+		},
+
+		// `capture` is `{ camera, blob, url, telemetry, trigger, sessionId }`
+		async add(capture) {
+			await openDb();
+			const record = {
+				camera: capture.camera,
+				t: capture.t || Date.now(),
+				url: capture.url || "",
+				blob: capture.blob,
+				thumb: capture.blob ? await makeThumbnail(capture.blob) : null,
+				telemetry: capture.telemetry || {},
+				trigger: capture.trigger || null,
+				sessionId: capture.sessionId ?? null,
+			};
+			const tx = db.transaction("captures", "readwrite");
+			record.id = await request(tx.objectStore("captures").add(record));
+			return record;
+		},
+
+		// Newest first; `from`/`to` are epoch milliseconds
+		async list({ camera = null, from = null, to = null } = {}) {
+			await openDb();
+			const range =
+				from !== null && to !== null
+					? IDBKeyRange.bound(from, to)
+					: from !== null
+					? IDBKeyRange.lowerBound(from)
+					: to !== null
+					? IDBKeyRange.upperBound(to)
+					: undefined;
+			const index = db.transaction("captures").objectStore("captures").index("t");
+			const records = await request(index.getAll(range));
+			return records.filter((record) => !camera || record.camera === camera).reverse();
+		},
+
+		async get(id) {
+			await openDb();
+			return request(db.transaction("captures").objectStore("captures").get(id));
+		},
+
+		// Merges `changes` into a stored record, e.g. its annotations
+		async update(id, changes) {
+			await openDb();
+			const tx = db.transaction("captures", "readwrite");
+			const store = tx.objectStore("captures");
+			const record = await request(store.get(id));
+			if (!record) throw new Error(`Capture ${id} not found`);
+			const next = { ...record, ...changes, id };
+			await request(store.put(next));
+			return next;
+		},
+
+		async remove(id) {
+			await openDb();
+			const tx = db.transaction("captures", "readwrite");
+			await request(tx.objectStore("captures").delete(id));
+		},
+
+		async clear() {
+			await openDb();
+			const tx = db.transaction("captures", "readwrite");
+			await request(tx.objectStore("captures").clear());
+		},
+	};
+};
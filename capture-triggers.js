@@ -0,0 +1,138 @@
+// Automatic capture triggers per camera: when `current_wp` advances, every
+// N meters travelled, or every N seconds. Plans are armed and disarmed per
+// camera and persisted like the alarm rules; the caller performs the capture
+// when a "trigger" event fires.
+const CAPTURE_PLANS_KEY = "krakatau.capturePlans";
+const CAPTURE_CAMERAS = ["surface", "underwater"];
+
+const DEFAULT_CAPTURE_PLAN = {
+	armed: false,
+	onWaypoint: true,
+	distance: 0, // meters, 0 = off
+	interval: 0, // seconds, 0 = off
+};
+
+const loadCapturePlans = () => {
+	let stored = null;
+	try {
+		stored = JSON.parse(localStorage.getItem(CAPTURE_PLANS_KEY));
+	} catch (error) {
+		stored = null;
+	}
+	// Never come back armed after a reload
+	return Object.fromEntries(
+		CAPTURE_CAMERAS.map((camera) => [
+			camera,
+			{ ...DEFAULT_CAPTURE_PLAN, ...((stored && stored[camera]) || {}), armed: false },
+		])
+	);
+};
+
+const saveCapturePlans = (plans) => {
+	localStorage.setItem(CAPTURE_PLANS_KEY, JSON.stringify(plans));
+};
+
+const createCaptureTrigger = () => {
+	const listeners = {
+		trigger: new Set(),
+	};
+
+	const plans = Object.fromEntries(CAPTURE_CAMERAS.map((camera) => [camera, { ...DEFAULT_CAPTURE_PLAN }]));
+	// Per camera: meters travelled and time of the last capture since arming
+	const progress = Object.fromEntries(CAPTURE_CAMERAS.map((camera) => [camera, { meters: 0, lastAt: 0 }]));
+	let lastPosition = null;
+	let lastWp = null;
+
+	const emit = (event, payload) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Capture ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const fire = (camera, reason, detail, t) => {
+		progress[camera].meters = 0;
+		progress[camera].lastAt = t;
+		emit("trigger", { camera, reason, detail, t, position: lastPosition ? { ...lastPosition } : null });
+	};
+
+	const stepMeters = (from, to) => {
+		const rad = Math.PI / 180;
+		const east = (to.lon - from.lon) * rad * 6371000 * Math.cos(from.lat * rad);
+		const north = (to.lat - from.lat) * rad * 6371000;
+		return Math.hypot(east, north);
+	};
+
+	return {
+		get plans() {
+			return Object.fromEntries(CAPTURE_CAMERAS.map((camera) => [camera, { ...plans[camera] }]));
+		},
+
+		configure(camera, plan) {
+			if (!plans[camera]) throw new Error(`Unknown camera: ${camera}`);
+			const wasArmed = plans[camera].armed;
+			plans[camera] = {
+				...plans[camera],
+				...plan,
+				distance: Math.max(0, Number(plan.distance ?? plans[camera].distance) || 0),
+				interval: Math.max(0, Number(plan.interval ?? plans[camera].interval) || 0),
+			};
+			if (plans[camera].armed && !wasArmed) progress[camera] = { meters: 0, lastAt: Date.now() };
+		},
+
+		arm(camera) {
+			this.configure(camera, { armed: true });
+		},
+
+		disarm(camera) {
+			this.configure(camera, { armed: false });
+		},
+
+		// Feed every live telemetry frame
+		update(data, t = Date.now()) {
+			const position = { lat: Number(data.lat), lon: Number(data.long) };
+			const valid = Number.isFinite(position.lat) && Number.isFinite(position.lon) && (position.lat || position.lon);
+			const step = valid && lastPosition ? stepMeters(lastPosition, position) : 0;
+			if (valid) lastPosition = position;
+
+			const wp = Number(data.current_wp);
+			const reached = Number.isFinite(wp) && lastWp !== null && wp > lastWp ? lastWp : null;
+			if (Number.isFinite(wp)) lastWp = wp;
+
+			CAPTURE_CAMERAS.forEach((camera) => {
+				const plan = plans[camera];
+				if (!plan.armed) return;
+				progress[camera].meters += step;
+				if (plan.onWaypoint && reached !== null) {
+					fire(camera, "waypoint", `current_wp ${reached} \u2192 ${wp}`, t);
+				} else if (plan.distance > 0 && progress[camera].meters >= plan.distance) {
+					fire(camera, "distance", `${progress[camera].meters.toFixed(1)} m travelled`, t);
+				}
+			});
+		},
+
+		// Call about once a second for the time-based triggers
+		tick(t = Date.now()) {
+			CAPTURE_CAMERAS.forEach((camera) => {
+				const plan = plans[camera];
+				if (!plan.armed || !(plan.interval > 0)) return;
+				if (t - progress[camera].lastAt >= plan.interval * 1000) {
+					fire(camera, "interval", `every ${plan.interval} s`, t);
+				}
+			});
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown capture trigger event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
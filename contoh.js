@@ -3,11 +3,6 @@ function x_data() {
 		currentScreen: 'menu',
 		currentMode: 'monitoring',
 		
-		loginUsername: '',
-		loginPassword: '',
-		correctUsername: 'krakatau',
-		correctPassword: 'andover',
-		
 		vehicleData: {
 			app_connect: false,
 			date: 'N/A',
@@ -39,6 +34,10 @@ function x_data() {
 		currentTime: new Date().toLocaleTimeString(),
 		currentDate: new Date().toLocaleDateString(),
 		
+		gcsUrl() {
+			return `http://${this.ipAddress}:${this.port}`;
+		},
+		
 		init() {
 			setInterval(() => {
 				this.currentTime = new Date().toLocaleTimeString();
@@ -59,29 +58,8 @@ function x_data() {
 			toastr.info('Monitoring mode activated');
 		},
 		
-		showLogin() {
-			this.currentScreen = 'login';
-			this.loginUsername = '';
-			this.loginPassword = '';
-		},
-		
-		login() {
-			if (this.loginUsername === this.correctUsername && this.loginPassword === this.correctPassword) {
-				this.currentMode = 'control';
-				this.currentScreen = 'dashboard';
-				toastr.success('Login successful! Control mode activated');
-			} else {
-				toastr.error('Invalid username or password!');
-			}
-		},
-		
-		logout() {
-			this.currentScreen = 'menu';
-			this.currentMode = 'monitoring';
-			this.loginUsername = '';
-			this.loginPassword = '';
-			toastr.info('Logged out successfully');
-		},
+		// Control mode and its login live in script.js (auth.js), this sample
+		// only covers monitoring
 		
 		backToMenu() {
 			this.currentScreen = 'menu';
@@ -132,14 +110,14 @@ function x_data() {
 			if (this.isConnecting) return;
 			
 			this.isConnecting = true;
-			console.log(`Attempting to connect to GCS at http://${this.ipAddress}:${this.port}`);
+			console.log(`Attempting to connect to GCS at ${this.gcsUrl()}`);
 			toastr.info('Connecting to GCS...');
 
 			const controller = new AbortController();
 			const timeoutId = setTimeout(() => controller.abort(), 5000);
 
 			try {
-				const response = await fetch(`http://${this.ipAddress}:${this.port}/status`, {
+				const response = await fetch(`${this.gcsUrl()}/status`, {
 					signal: controller.signal
 				});
 
@@ -0,0 +1,172 @@
+// Single-operator control lease. Only the client holding the lease may send
+// commands; the backend keeps it under the holder's session token and drops
+// it when it is not renewed within its lifetime, so a closed laptop frees it.
+// Everyone polls the lease for the holder indicator, the holder's polls
+// renew it. Others can ask for a handover, which the holder accepts or
+// declines, and admins can take it by force.
+// Permissions only the lease holder may use; taking control itself and local
+// housekeeping need no lease
+const LEASED_PERMISSIONS = ["gcs", "serial", "waypoints", "camera", "capture", "command"];
+
+const createControlLease = (options = {}) => {
+	const settings = {
+		baseUrl: "http://localhost:5001",
+		path: "/control/lease",
+		pollInterval: 2000, // also the renewal rate while holding the lease
+		fetch: (input, init) => fetch(input, init),
+		...options,
+	};
+
+	const listeners = {
+		change: new Set(),
+		lost: new Set(),
+		requested: new Set(),
+		declined: new Set(),
+	};
+
+	// `holder` and `request` are `{ username, role, since }` or null;
+	// `requested` is true while our own handover request is pending
+	let lease = { holder: null, request: null, yours: false, requested: false };
+	let pollTimer = null;
+	let generation = 0;
+	let active = false;
+
+	const emit = (event, payload) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Lease ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const same = (a, b) => (a && a.username) === (b && b.username) && (a && a.since) === (b && b.since);
+
+	// Diffs the previous lease against the server's view to raise events;
+	// giving the lease away ourselves (`voluntary`) is not reported as lost
+	const apply = (next, voluntary = false) => {
+		const previous = lease;
+		lease = {
+			holder: next.holder || null,
+			request: next.request || null,
+			yours: Boolean(next.yours),
+			requested: Boolean(next.requested),
+		};
+		if (previous.yours && !lease.yours && !voluntary) emit("lost", { holder: lease.holder });
+		if (lease.yours && lease.request && !same(previous.request, lease.request)) emit("requested", lease.request);
+		if (previous.requested && !lease.requested && !lease.yours) emit("declined", { holder: lease.holder });
+		if (
+			previous.yours !== lease.yours ||
+			previous.requested !== lease.requested ||
+			!same(previous.holder, lease.holder) ||
+			!same(previous.request, lease.request)
+		) {
+			emit("change", { ...lease });
+		}
+		return lease;
+	};
+
+	const call = async (action, body) => {
+		const init = action
+			? { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body || {}) }
+			: { cache: "no-store" };
+		const response = await settings.fetch(`${settings.baseUrl}${settings.path}${action ? `/${action}` : ""}`, init);
+		const result = await response.json().catch(() => ({}));
+		if (result && "holder" in result) apply(result, response.ok && (action === "release" || action === "handover"));
+		if (!response.ok) {
+			const error = new Error(result.message || `HTTP ${response.status}`);
+			error.status = response.status;
+			throw error;
+		}
+		return lease;
+	};
+
+	const poll = async (current) => {
+		pollTimer = null;
+		try {
+			await call(lease.yours ? "renew" : null);
+		} catch (error) {
+			// A failed renewal means the lease is gone, e.g. expired or taken
+			if (lease.yours && error.status) apply({ holder: null });
+		}
+		if (active && current === generation) pollTimer = setTimeout(() => poll(current), settings.pollInterval);
+	};
+
+	const restart = () => {
+		generation += 1;
+		clearTimeout(pollTimer);
+		pollTimer = null;
+		if (active) poll(generation);
+	};
+
+	return {
+		get state() {
+			return { ...lease };
+		},
+
+		start() {
+			active = true;
+			restart();
+		},
+
+		stop() {
+			active = false;
+			restart();
+		},
+
+		// The old server is told to free a lease we hold, so others need not
+		// wait for it to run out; its answer does not matter
+		setBaseUrl(url) {
+			if (url === settings.baseUrl) return;
+			if (lease.yours) {
+				const init = { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" };
+				settings.fetch(`${settings.baseUrl}${settings.path}/release`, init).catch((error) => {
+					console.warn("Lease release failed:", error.message);
+				});
+			}
+			settings.baseUrl = url;
+			apply({ holder: null }, true);
+			restart();
+		},
+
+		// Polls right away, e.g. after logging in or out
+		refresh() {
+			restart();
+		},
+
+		// Takes a free lease; rejects with status 409 while someone else holds it
+		acquire() {
+			return call("acquire");
+		},
+
+		release() {
+			return call("release");
+		},
+
+		// Asks the holder to hand over
+		request() {
+			return call("request");
+		},
+
+		// Holder's answer to a pending request
+		handover(accept) {
+			return call("handover", { accept: Boolean(accept) });
+		},
+
+		// Admins only
+		force() {
+			return call("force");
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown lease event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
@@ -0,0 +1,281 @@
+// Gallery export, entirely in the browser: JPEGs get an EXIF GPS block
+// (latitude, longitude, altitude, heading) and are stored uncompressed in a
+// ZIP together with metadata.csv / metadata.json holding the full telemetry
+// snapshot of every capture. Uses the record shape of capture-gallery.js.
+const EXIF_TYPES = {
+	BYTE: 1,
+	ASCII: 2,
+	LONG: 4,
+	RATIONAL: 5,
+};
+
+const exifEntry = (tag, type, values) => {
+	let bytes;
+	if (type === EXIF_TYPES.ASCII) {
+		bytes = new Uint8Array([...values].map((ch) => ch.charCodeAt(0)).concat(0));
+	} else if (type === EXIF_TYPES.BYTE) {
+		bytes = new Uint8Array(values);
+	} else if (type === EXIF_TYPES.LONG) {
+		bytes = new Uint8Array(4 * values.length);
+		values.forEach((value, i) => new DataView(bytes.buffer).setUint32(i * 4, value));
+	} else {
+		bytes = new Uint8Array(8 * values.length);
+		const view = new DataView(bytes.buffer);
+		values.forEach(([num, den], i) => {
+			view.setUint32(i * 8, num);
+			view.setUint32(i * 8 + 4, den);
+		});
+	}
+	const count = type === EXIF_TYPES.RATIONAL ? values.length : type === EXIF_TYPES.LONG ? values.length : bytes.length;
+	return { tag, type, count, bytes };
+};
+
+const ifdSize = (entries) =>
+	2 + entries.length * 12 + 4 + entries.reduce((sum, e) => sum + (e.bytes.length > 4 ? e.bytes.length + (e.bytes.length % 2) : 0), 0);
+
+// Writes an IFD at `offset` of the TIFF block, values that do not fit in four
+// bytes follow the directory. Offsets are relative to the TIFF header.
+const writeIfd = (view, offset, entries) => {
+	let data = offset + 2 + entries.length * 12 + 4;
+	view.setUint16(offset, entries.length);
+	entries.forEach((entry, i) => {
+		const at = offset + 2 + i * 12;
+		view.setUint16(at, entry.tag);
+		view.setUint16(at + 2, entry.type);
+		view.setUint32(at + 4, entry.count);
+		const target = entry.bytes.length > 4 ? data : at + 8;
+		if (entry.bytes.length > 4) {
+			view.setUint32(at + 8, data);
+			data += entry.bytes.length + (entry.bytes.length % 2);
+		}
+		entry.bytes.forEach((byte, j) => view.setUint8(target + j, byte));
+	});
+	view.setUint32(offset + 2 + entries.length * 12, 0);
+};
+
+const toDegreeRationals = (value) => {
+	const abs = Math.abs(value);
+	const degrees = Math.floor(abs);
+	const minutes = Math.floor((abs - degrees) * 60);
+	const seconds = (abs - degrees - minutes / 60) * 3600;
+	return [
+		[degrees, 1],
+		[minutes, 1],
+		[Math.round(seconds * 1000), 1000],
+	];
+};
+
+const exifDateTime = (t) => {
+	const d = new Date(t);
+	const pad = (n) => String(n).padStart(2, "0");
+	return `${d.getFullYear()}:${pad(d.getMonth() + 1)}:${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+// APP1 segment with IFD0 (DateTime, GPS pointer) and the GPS IFD
+const buildExifSegment = ({ lat, lon, alt, heading, t }) => {
+	const gps = [exifEntry(0x0000, EXIF_TYPES.BYTE, [2, 3, 0, 0])];
+	if (Number.isFinite(lat) && Number.isFinite(lon)) {
+		gps.push(
+			exifEntry(0x0001, EXIF_TYPES.ASCII, lat < 0 ? "S" : "N"),
+			exifEntry(0x0002, EXIF_TYPES.RATIONAL, toDegreeRationals(lat)),
+			exifEntry(0x0003, EXIF_TYPES.ASCII, lon < 0 ? "W" : "E"),
+			exifEntry(0x0004, EXIF_TYPES.RATIONAL, toDegreeRationals(lon))
+		);
+	}
+	if (Number.isFinite(alt)) {
+		gps.push(
+			exifEntry(0x0005, EXIF_TYPES.BYTE, [alt < 0 ? 1 : 0]),
+			exifEntry(0x0006, EXIF_TYPES.RATIONAL, [[Math.round(Math.abs(alt) * 100), 100]])
+		);
+	}
+	if (Number.isFinite(heading)) {
+		gps.push(
+			exifEntry(0x0010, EXIF_TYPES.ASCII, "T"),
+			exifEntry(0x0011, EXIF_TYPES.RATIONAL, [[Math.round((((heading % 360) + 360) % 360) * 100), 100]])
+		);
+	}
+
+	const ifd0 = [exifEntry(0x0132, EXIF_TYPES.ASCII, exifDateTime(t)), exifEntry(0x8825, EXIF_TYPES.LONG, [0])];
+	const gpsOffset = 8 + ifdSize(ifd0);
+	ifd0[1] = exifEntry(0x8825, EXIF_TYPES.LONG, [gpsOffset]);
+
+	const tiff = new Uint8Array(gpsOffset + ifdSize(gps));
+	const view = new DataView(tiff.buffer);
+	view.setUint16(0, 0x4d4d); // "MM", big-endian
+	view.setUint16(2, 42);
+	view.setUint32(4, 8);
+	writeIfd(view, 8, ifd0);
+	writeIfd(view, gpsOffset, gps);
+
+	const header = [0x45, 0x78, 0x69, 0x66, 0, 0]; // "Exif\0\0"
+	const length = 2 + header.length + tiff.length;
+	const segment = new Uint8Array(2 + length);
+	segment.set([0xff, 0xe1, length >> 8, length & 0xff, ...header]);
+	segment.set(tiff, 4 + header.length);
+	return segment;
+};
+
+// Returns the JPEG with any existing Exif APP1 replaced by the geotag; the
+// APP0 (JFIF) segment, when present, stays first as the JFIF spec requires.
+const geotagJpeg = (bytes, tag) => {
+	if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error("Not a JPEG image");
+
+	const app0 = [];
+	const others = [];
+	let offset = 2;
+	while (offset + 4 <= bytes.length && bytes[offset] === 0xff && bytes[offset + 1] >= 0xe0 && bytes[offset + 1] <= 0xef) {
+		const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+		const segment = bytes.subarray(offset, offset + 2 + length);
+		const isExif = bytes[offset + 1] === 0xe1 && String.fromCharCode(...segment.subarray(4, 8)) === "Exif";
+		if (bytes[offset + 1] === 0xe0) app0.push(segment);
+		else if (!isExif) others.push(segment);
+		offset += 2 + length;
+	}
+
+	const parts = [bytes.subarray(0, 2), ...app0, buildExifSegment(tag), ...others, bytes.subarray(offset)];
+	const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+	let at = 0;
+	parts.forEach((part) => {
+		output.set(part, at);
+		at += part.length;
+	});
+	return output;
+};
+
+const CRC32_TABLE = (() => {
+	const table = new Uint32Array(256);
+	for (let n = 0; n < 256; n++) {
+		let c = n;
+		for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		table[n] = c >>> 0;
+	}
+	return table;
+})();
+
+const crc32 = (bytes) => {
+	let crc = 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Stored (uncompressed) ZIP; JPEGs do not shrink under deflate anyway.
+// `files` is `[{ name, bytes: Uint8Array, t }]`.
+const createZip = (files) => {
+	const encoder = new TextEncoder();
+	const chunks = [];
+	const central = [];
+	let offset = 0;
+
+	files.forEach((file) => {
+		const name = encoder.encode(file.name);
+		const d = new Date(file.t || Date.now());
+		const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+		const date = ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+		const crc = crc32(file.bytes);
+
+		const local = new DataView(new ArrayBuffer(30));
+		local.setUint32(0, 0x04034b50, true);
+		local.setUint16(4, 20, true);
+		local.setUint16(6, 0x0800, true); // UTF-8 names
+		local.setUint16(8, 0, true); // stored
+		local.setUint16(10, time, true);
+		local.setUint16(12, date, true);
+		local.setUint32(14, crc, true);
+		local.setUint32(18, file.bytes.length, true);
+		local.setUint32(22, file.bytes.length, true);
+		local.setUint16(26, name.length, true);
+		local.setUint16(28, 0, true);
+
+		const entry = new DataView(new ArrayBuffer(46));
+		entry.setUint32(0, 0x02014b50, true);
+		entry.setUint16(4, 20, true);
+		entry.setUint16(6, 20, true);
+		entry.setUint16(8, 0x0800, true);
+		entry.setUint16(10, 0, true);
+		entry.setUint16(12, time, true);
+		entry.setUint16(14, date, true);
+		entry.setUint32(16, crc, true);
+		entry.setUint32(20, file.bytes.length, true);
+		entry.setUint32(24, file.bytes.length, true);
+		entry.setUint16(28, name.length, true);
+		entry.setUint32(42, offset, true);
+		central.push(new Uint8Array(entry.buffer), name);
+
+		chunks.push(new Uint8Array(local.buffer), name, file.bytes);
+		offset += 30 + name.length + file.bytes.length;
+	});
+
+	const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true);
+	end.setUint16(8, files.length, true);
+	end.setUint16(10, files.length, true);
+	end.setUint32(12, centralSize, true);
+	end.setUint32(16, offset, true);
+
+	return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+};
+
+const captureFileName = (record) => {
+	const stamp = new Date(record.t).toISOString().replace(/[-:]/g, "").replace("T", "_").substring(0, 15);
+	return `${record.camera}_${stamp}_${record.id}.jpg`;
+};
+
+// Underwater captures are tagged below sea level by their depth
+const captureGeotag = (record) => {
+	const telemetry = record.telemetry || {};
+	const number = (value) => (value === null || value === undefined || value === "" ? NaN : Number(value));
+	const depth = number(telemetry.depth);
+	return {
+		lat: number(telemetry.lat),
+		lon: number(telemetry.long),
+		alt: record.camera === "underwater" && Number.isFinite(depth) ? -depth : number(telemetry.alt),
+		heading: number(telemetry.yaw),
+		t: record.t,
+	};
+};
+
+const csvCell = (value) => {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportCapturesZip = async (records) => {
+	const files = [];
+	const metadata = [];
+	const warnings = [];
+	const telemetryFields = galleryTelemetryFields(...records.map((record) => record.telemetry));
+
+	for (const record of records) {
+		const name = captureFileName(record);
+		let bytes = new Uint8Array(await record.blob.arrayBuffer());
+		try {
+			bytes = geotagJpeg(bytes, captureGeotag(record));
+		} catch (error) {
+			warnings.push(`${name}: ${error.message}, exported without geotag`);
+		}
+		files.push({ name: `images/${name}`, bytes, t: record.t });
+		metadata.push({
+			file: `images/${name}`,
+			id: record.id,
+			camera: record.camera,
+			captured_at: new Date(record.t).toISOString(),
+			trigger: record.trigger ? record.trigger.reason : "manual",
+			session_id: record.sessionId,
+			...Object.fromEntries(telemetryFields.map((field) => [field, (record.telemetry || {})[field] ?? null])),
+		});
+	}
+
+	const columns = ["file", "id", "camera", "captured_at", "trigger", "session_id", ...telemetryFields];
+	const csv = [
+		columns.join(","),
+		...metadata.map((row) => columns.map((column) => csvCell(galleryTelemetryValue(row[column]))).join(",")),
+	].join("\n");
+	const encoder = new TextEncoder();
+	files.push(
+		{ name: "metadata.csv", bytes: encoder.encode(`${csv}\n`) },
+		{ name: "metadata.json", bytes: encoder.encode(JSON.stringify(metadata, null, 2)) }
+	);
+
+	return { blob: createZip(files), warnings };
+};
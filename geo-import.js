@@ -0,0 +1,183 @@
+// GPX and KML import for client survey areas and reference routes.
+// Files become a flat list of features in lat/lon, `{ kind, name, points }`
+// with kind "route", "track", "polygon" or "point", which the trajectory
+// canvases draw as overlays and the dashboard turns into waypoint lists.
+const GEO_OVERLAY_STYLES = {
+	route: { stroke: "#ffdd57", dash: [], fill: null },
+	track: { stroke: "#b388ff", dash: [6, 4], fill: null },
+	polygon: { stroke: "#ff7edb", dash: [], fill: "rgba(255, 126, 219, 0.08)" },
+	point: { stroke: "#ffdd57", dash: [], fill: null },
+};
+
+const geoElements = (parent, name) => [...parent.getElementsByTagNameNS("*", name)];
+
+const geoText = (parent, name) => {
+	const element = geoElements(parent, name)[0];
+	return element ? element.textContent.trim() : "";
+};
+
+const gpxPoint = (element) => {
+	const ele = Number(geoText(element, "ele"));
+	return {
+		lat: Number(element.getAttribute("lat")),
+		lon: Number(element.getAttribute("lon")),
+		ele: geoText(element, "ele") !== "" && !Number.isNaN(ele) ? ele : null,
+	};
+};
+
+const parseGPX = (doc) => {
+	const features = [];
+
+	geoElements(doc, "rte").forEach((route, index) => {
+		const points = geoElements(route, "rtept").map(gpxPoint);
+		if (points.length) features.push({ kind: "route", name: geoText(route, "name") || `Route ${index + 1}`, points });
+	});
+
+	geoElements(doc, "trk").forEach((track, index) => {
+		const name = geoText(track, "name") || `Track ${index + 1}`;
+		geoElements(track, "trkseg").forEach((segment) => {
+			const points = geoElements(segment, "trkpt").map(gpxPoint);
+			if (points.length) features.push({ kind: "track", name, points });
+		});
+	});
+
+	// Only top-level waypoints; rtept/trkpt are not <wpt> elements
+	geoElements(doc, "wpt").forEach((wpt, index) => {
+		features.push({ kind: "point", name: geoText(wpt, "name") || `WPT ${index + 1}`, points: [gpxPoint(wpt)] });
+	});
+
+	return features;
+};
+
+// KML coordinates are "lon,lat[,alt]" tuples separated by whitespace
+const kmlCoordinates = (element) =>
+	geoText(element, "coordinates")
+		.split(/\s+/)
+		.filter(Boolean)
+		.map((tuple) => {
+			const [lon, lat, alt] = tuple.split(",").map(Number);
+			return { lat, lon, ele: alt === undefined || Number.isNaN(alt) ? null : alt };
+		});
+
+const parseKML = (doc) => {
+	const features = [];
+
+	geoElements(doc, "Placemark").forEach((placemark, index) => {
+		const name = geoText(placemark, "name") || `Placemark ${index + 1}`;
+
+		geoElements(placemark, "Polygon").forEach((polygon) => {
+			const boundary = geoElements(polygon, "outerBoundaryIs")[0] || polygon;
+			const points = kmlCoordinates(boundary);
+			const first = points[0];
+			const last = points[points.length - 1];
+			if (points.length > 1 && first.lat === last.lat && first.lon === last.lon) points.pop();
+			if (points.length >= 3) features.push({ kind: "polygon", name, points });
+		});
+
+		geoElements(placemark, "LineString").forEach((line) => {
+			const points = kmlCoordinates(line);
+			if (points.length) features.push({ kind: "route", name, points });
+		});
+
+		geoElements(placemark, "Point").forEach((point) => {
+			const points = kmlCoordinates(point);
+			if (points.length) features.push({ kind: "point", name, points: points.slice(0, 1) });
+		});
+	});
+
+	return features;
+};
+
+const parseGeoFile = (text) => {
+	const doc = new DOMParser().parseFromString(String(text), "application/xml");
+	if (geoElements(doc, "parsererror").length) throw new Error("File is not valid XML");
+
+	const root = doc.documentElement.localName;
+	const features = root === "gpx" ? parseGPX(doc) : root === "kml" ? parseKML(doc) : null;
+	if (!features) throw new Error(`Expected a GPX or KML file, got <${root}>`);
+
+	const valid = features.filter((feature) =>
+		feature.points.every((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon))
+	);
+	if (valid.length === 0) throw new Error("No route, track, polygon or point found");
+	return valid;
+};
+
+const geoDistance = (a, b) => {
+	const rad = Math.PI / 180;
+	const dLat = (b.lat - a.lat) * rad;
+	const dLon = (b.lon - a.lon) * rad;
+	const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+	return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+// Waypoints from the most mission-like features in the file: routes first,
+// then standalone points, then tracks, then polygon outlines. Tracks are
+// thinned to `minSpacing` meters so a recorded GPS log stays a usable list.
+const geoFeaturesToWaypoints = (features, verticalKey = "alt", minSpacing = 2) => {
+	const warnings = [];
+	const order = ["route", "point", "track", "polygon"];
+	const kind = order.find((k) => features.some((feature) => feature.kind === k));
+	const chosen = features.filter((feature) => feature.kind === kind);
+	const skipped = features.length - chosen.length;
+	if (skipped) warnings.push(`${skipped} feature(s) other than ${kind}s not converted to waypoints`);
+
+	const points = [];
+	chosen.forEach((feature) => {
+		feature.points.forEach((p) => {
+			const last = points[points.length - 1];
+			if (last && geoDistance(last, p) < minSpacing) return;
+			points.push(p);
+		});
+	});
+	const dropped = chosen.reduce((sum, feature) => sum + feature.points.length, 0) - points.length;
+	if (dropped) warnings.push(`${dropped} point(s) closer than ${minSpacing} m dropped`);
+
+	const waypoints = points.map((p, index) => ({
+		seq: index + 1,
+		lat: p.lat,
+		lon: p.lon,
+		// GPX/KML elevations are heights; below-surface values become depth
+		[verticalKey]: p.ele === null ? 0 : verticalKey === "depth" ? Math.max(0, -p.ele) : p.ele,
+		speed: null,
+	}));
+	return { waypoints, warnings };
+};
+
+// `toScreen(lat, lon)` maps a position to canvas pixels `{ x, y }`
+const drawGeoOverlays = (ctx, features, toScreen) => {
+	features.forEach((feature) => {
+		const style = GEO_OVERLAY_STYLES[feature.kind];
+		const points = feature.points.map((p) => toScreen(p.lat, p.lon));
+
+		ctx.save();
+		ctx.strokeStyle = style.stroke;
+		ctx.fillStyle = style.stroke;
+		ctx.lineWidth = 1.5;
+		ctx.setLineDash(style.dash);
+
+		if (feature.kind === "point") {
+			ctx.beginPath();
+			ctx.arc(points[0].x, points[0].y, 4, 0, 2 * Math.PI);
+			ctx.stroke();
+		} else {
+			ctx.beginPath();
+			points.forEach((p, index) => {
+				if (index === 0) ctx.moveTo(p.x, p.y);
+				else ctx.lineTo(p.x, p.y);
+			});
+			if (feature.kind === "polygon") {
+				ctx.closePath();
+				ctx.fillStyle = style.fill;
+				ctx.fill();
+			}
+			ctx.stroke();
+		}
+
+		ctx.setLineDash([]);
+		ctx.fillStyle = style.stroke;
+		ctx.font = "10px monospace";
+		ctx.fillText(feature.name, points[0].x + 6, points[0].y - 6);
+		ctx.restore();
+	});
+};
@@ -0,0 +1,129 @@
+// Geofences are stored in lat/lon so they survive a new trajectory origin,
+// and tested in the local meter frame produced by the caller's projection
+// (`{ toXY(lat, lon), toLatLon(x, y) }`, e.g. the trajectory mapper's gpsToXY).
+const GEOFENCE_MODES = {
+	KEEP_IN: "keep-in",
+	KEEP_OUT: "keep-out",
+};
+
+const pointInPolygon = (x, y, points) => {
+	let inside = false;
+	for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+		const a = points[i];
+		const b = points[j];
+		if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+			inside = !inside;
+		}
+	}
+	return inside;
+};
+
+const fenceToXY = (fence, projection) => {
+	if (fence.type === "circle") {
+		return { ...fence, center: projection.toXY(fence.center.lat, fence.center.lon) };
+	}
+	return { ...fence, points: fence.points.map((p) => projection.toXY(p.lat, p.lon)) };
+};
+
+const isInsideFence = (fence, projection, position) => {
+	const local = fenceToXY(fence, projection);
+	if (local.type === "circle") {
+		return Math.hypot(position.x - local.center.x, position.y - local.center.y) <= local.radius;
+	}
+	return local.points.length >= 3 && pointInPolygon(position.x, position.y, local.points);
+};
+
+// Indexes of the fences `position` violates. Keep-in fences together form the
+// operating area, so they only count as breached when the position is outside
+// every one of them; any keep-out fence containing the position is breached.
+const findFenceBreaches = (fences, projection, position) => {
+	const inside = fences.map((fence) => isInsideFence(fence, projection, position));
+	const keepIn = fences
+		.map((fence, index) => index)
+		.filter((index) => fences[index].mode !== GEOFENCE_MODES.KEEP_OUT);
+	const outsideArea = keepIn.length > 0 && keepIn.every((index) => !inside[index]);
+
+	return fences
+		.map((fence, index) => index)
+		.filter((index) => (fences[index].mode === GEOFENCE_MODES.KEEP_OUT ? inside[index] : outsideArea));
+};
+
+// Straight-line extrapolation from the last two timestamped trail points.
+// The trail only grows while the vehicle moves, so the speed is taken over
+// the time up to `now` and slows down as the vehicle stays put; with no new
+// point within the lookahead there is nothing to predict.
+const predictPosition = (trail, lookaheadMs, now = Date.now()) => {
+	if (trail.length < 2) return null;
+	const last = trail[trail.length - 1];
+	const prev = trail[trail.length - 2];
+	if (now - last.t > lookaheadMs) return null;
+	const dt = Math.max(now, last.t) - prev.t;
+	if (!dt || dt <= 0) return null;
+	return {
+		x: last.x + ((last.x - prev.x) / dt) * lookaheadMs,
+		y: last.y + ((last.y - prev.y) / dt) * lookaheadMs,
+	};
+};
+
+const fencesToGeoJSON = (fences) => ({
+	type: "FeatureCollection",
+	features: fences.map((fence) => {
+		const properties = { name: fence.name || "", mode: fence.mode };
+		if (fence.type === "circle") {
+			return {
+				type: "Feature",
+				properties: { ...properties, shape: "circle", radius: fence.radius },
+				geometry: { type: "Point", coordinates: [fence.center.lon, fence.center.lat] },
+			};
+		}
+		const ring = fence.points.map((p) => [p.lon, p.lat]);
+		ring.push(ring[0]);
+		return {
+			type: "Feature",
+			properties: { ...properties, shape: "polygon" },
+			geometry: { type: "Polygon", coordinates: [ring] },
+		};
+	}),
+});
+
+const fencesFromGeoJSON = (geojson) => {
+	const features =
+		geojson.type === "FeatureCollection" ? geojson.features : geojson.type === "Feature" ? [geojson] : [];
+	const fences = [];
+
+	features.forEach((feature) => {
+		const geometry = feature.geometry || {};
+		const properties = feature.properties || {};
+		const mode = properties.mode === GEOFENCE_MODES.KEEP_OUT ? GEOFENCE_MODES.KEEP_OUT : GEOFENCE_MODES.KEEP_IN;
+		const name = properties.name || "";
+
+		if (geometry.type === "Point" && Number(properties.radius) > 0) {
+			const [lon, lat] = geometry.coordinates;
+			fences.push({ type: "circle", name, mode, center: { lat, lon }, radius: Number(properties.radius) });
+			return;
+		}
+
+		const rings =
+			geometry.type === "Polygon"
+				? [geometry.coordinates[0]]
+				: geometry.type === "MultiPolygon"
+				? geometry.coordinates.map((polygon) => polygon[0])
+				: [];
+		rings.forEach((ring) => {
+			const points = ring.map(([lon, lat]) => ({ lat, lon }));
+			const first = points[0];
+			const last = points[points.length - 1];
+			if (points.length > 1 && first.lat === last.lat && first.lon === last.lon) points.pop();
+			if (points.length >= 3) fences.push({ type: "polygon", name, mode, points });
+		});
+	});
+
+	if (fences.length === 0) throw new Error("No polygon or circle geofence found in GeoJSON");
+	return fences;
+};
+
+const fenceCentroid = (fence) => {
+	if (fence.type === "circle") return fence.center;
+	const sum = fence.points.reduce((acc, p) => ({ lat: acc.lat + p.lat, lon: acc.lon + p.lon }), { lat: 0, lon: 0 });
+	return { lat: sum.lat / fence.points.length, lon: sum.lon / fence.points.length };
+};
@@ -0,0 +1,273 @@
+// Client-side enhancement for green/blue, hazy underwater images. Filters run
+// on canvas ImageData in this order: gray-world white balance, dehaze,
+// CLAHE-style local contrast on luminance, then unsharp-mask sharpening.
+//
+// Dehazing follows the underwater dark channel prior: red is absorbed within
+// a few meters, so only green and blue feed the dark channel, otherwise the
+// whole frame would read as haze-free.
+const ENHANCE_SETTINGS_KEY = "krakatau.enhance";
+
+const DEFAULT_ENHANCE_SETTINGS = {
+	whiteBalance: true,
+	clahe: true,
+	clipLimit: 2, // CLAHE histogram clip, higher gives more contrast
+	dehaze: true,
+	dehazeStrength: 0.6, // 0-1, fraction of the estimated haze removed
+	sharpen: true,
+	sharpenAmount: 0.5,
+};
+
+const loadEnhanceSettings = () => {
+	try {
+		return { ...DEFAULT_ENHANCE_SETTINGS, ...JSON.parse(localStorage.getItem(ENHANCE_SETTINGS_KEY)) };
+	} catch (error) {
+		return { ...DEFAULT_ENHANCE_SETTINGS };
+	}
+};
+
+const saveEnhanceSettings = (settings) => {
+	localStorage.setItem(ENHANCE_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const clampByte = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+// Gains are capped so a nearly missing red channel turns into noise less fast
+const grayWorld = (data, maxGain = 2) => {
+	const sums = [0, 0, 0];
+	for (let i = 0; i < data.length; i += 4) {
+		sums[0] += data[i];
+		sums[1] += data[i + 1];
+		sums[2] += data[i + 2];
+	}
+	const mean = (sums[0] + sums[1] + sums[2]) / 3;
+	const gains = sums.map((sum) => (sum > 0 ? Math.min(maxGain, mean / sum) : 1));
+	for (let i = 0; i < data.length; i += 4) {
+		data[i] = clampByte(data[i] * gains[0]);
+		data[i + 1] = clampByte(data[i + 1] * gains[1]);
+		data[i + 2] = clampByte(data[i + 2] * gains[2]);
+	}
+};
+
+// Contrast-limited adaptive histogram equalization of luminance over a grid
+// of tiles, blended bilinearly between tile centres. The luminance change is
+// added to every channel so hues stay put.
+const clahe = (data, width, height, { clipLimit = 2, tiles = 8 } = {}) => {
+	const tilesX = Math.min(tiles, width);
+	const tilesY = Math.min(tiles, height);
+	const tileW = width / tilesX;
+	const tileH = height / tilesY;
+	const lum = new Uint8Array(width * height);
+	for (let p = 0, i = 0; p < lum.length; p++, i += 4) {
+		lum[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+	}
+
+	const maps = [];
+	for (let ty = 0; ty < tilesY; ty++) {
+		for (let tx = 0; tx < tilesX; tx++) {
+			const x0 = Math.floor(tx * tileW);
+			const x1 = Math.floor((tx + 1) * tileW);
+			const y0 = Math.floor(ty * tileH);
+			const y1 = Math.floor((ty + 1) * tileH);
+			const count = (x1 - x0) * (y1 - y0);
+			const hist = new Float64Array(256);
+			for (let y = y0; y < y1; y++) {
+				for (let x = x0; x < x1; x++) hist[lum[y * width + x]] += 1;
+			}
+			const limit = Math.max(1, (clipLimit * count) / 256);
+			let excess = 0;
+			for (let v = 0; v < 256; v++) {
+				if (hist[v] > limit) {
+					excess += hist[v] - limit;
+					hist[v] = limit;
+				}
+			}
+			const map = new Uint8Array(256);
+			let cdf = 0;
+			for (let v = 0; v < 256; v++) {
+				cdf += hist[v] + excess / 256;
+				map[v] = clampByte(Math.round((cdf * 255) / Math.max(1, count)));
+			}
+			maps.push(map);
+		}
+	}
+
+	const cell = (position, size, count) => {
+		const f = Math.max(0, Math.min(count - 1, position / size - 0.5));
+		const a = Math.floor(f);
+		return [a, Math.min(count - 1, a + 1), f - a];
+	};
+	for (let y = 0; y < height; y++) {
+		const [ya, yb, wy] = cell(y, tileH, tilesY);
+		for (let x = 0; x < width; x++) {
+			const [xa, xb, wx] = cell(x, tileW, tilesX);
+			const p = y * width + x;
+			const v = lum[p];
+			const top = maps[ya * tilesX + xa][v] * (1 - wx) + maps[ya * tilesX + xb][v] * wx;
+			const bottom = maps[yb * tilesX + xa][v] * (1 - wx) + maps[yb * tilesX + xb][v] * wx;
+			const delta = top * (1 - wy) + bottom * wy - v;
+			const i = p * 4;
+			data[i] = clampByte(data[i] + delta);
+			data[i + 1] = clampByte(data[i + 1] + delta);
+			data[i + 2] = clampByte(data[i + 2] + delta);
+		}
+	}
+};
+
+// Separable square minimum filter
+const minFilter = (values, width, height, radius) => {
+	const rows = new Float32Array(values.length);
+	const out = new Float32Array(values.length);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			let min = Infinity;
+			for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+				min = Math.min(min, values[y * width + k]);
+			}
+			rows[y * width + x] = min;
+		}
+	}
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			let min = Infinity;
+			for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+				min = Math.min(min, rows[k * width + x]);
+			}
+			out[y * width + x] = min;
+		}
+	}
+	return out;
+};
+
+// Mean over a (2r+1)^2 window from an integral image, clipped at the edges
+const boxMean = (values, width, height, radius) => {
+	const stride = width + 1;
+	const integral = new Float64Array(stride * (height + 1));
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			integral[(y + 1) * stride + x + 1] =
+				values[y * width + x] + integral[y * stride + x + 1] + integral[(y + 1) * stride + x] - integral[y * stride + x];
+		}
+	}
+	const out = new Float32Array(values.length);
+	for (let y = 0; y < height; y++) {
+		const y0 = Math.max(0, y - radius);
+		const y1 = Math.min(height - 1, y + radius) + 1;
+		for (let x = 0; x < width; x++) {
+			const x0 = Math.max(0, x - radius);
+			const x1 = Math.min(width - 1, x + radius) + 1;
+			const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+			out[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+		}
+	}
+	return out;
+};
+
+// Edge-preserving smoothing of `input` along the edges of `guide` (He et al.),
+// used to keep the blocky transmission map from leaving halos
+const guidedFilter = (guide, input, width, height, radius, eps = 1e-3) => {
+	const mean = (values) => boxMean(values, width, height, radius);
+	const meanI = mean(guide);
+	const meanP = mean(input);
+	const corrIP = mean(guide.map((value, p) => value * input[p]));
+	const corrII = mean(guide.map((value) => value * value));
+	const a = new Float32Array(guide.length);
+	const b = new Float32Array(guide.length);
+	for (let p = 0; p < guide.length; p++) {
+		a[p] = (corrIP[p] - meanI[p] * meanP[p]) / (corrII[p] - meanI[p] * meanI[p] + eps);
+		b[p] = meanP[p] - a[p] * meanI[p];
+	}
+	const meanA = mean(a);
+	const meanB = mean(b);
+	return guide.map((value, p) => meanA[p] * value + meanB[p]);
+};
+
+const dehaze = (data, width, height, { strength = 0.6, radius = 7, minTransmission = 0.1 } = {}) => {
+	const count = width * height;
+	const gb = new Float32Array(count);
+	for (let p = 0, i = 0; p < count; p++, i += 4) gb[p] = Math.min(data[i + 1], data[i + 2]);
+	const dark = minFilter(gb, width, height, radius);
+
+	// Water light: mean colour of the 0.1% haziest pixels
+	const hist = new Uint32Array(256);
+	dark.forEach((value) => (hist[value] += 1));
+	let threshold = 255;
+	let seen = hist[255];
+	while (threshold > 0 && seen < count * 0.001) {
+		threshold -= 1;
+		seen += hist[threshold];
+	}
+	const light = [0, 0, 0];
+	let picked = 0;
+	for (let p = 0; p < count; p++) {
+		if (dark[p] < threshold) continue;
+		light[0] += data[p * 4];
+		light[1] += data[p * 4 + 1];
+		light[2] += data[p * 4 + 2];
+		picked += 1;
+	}
+	const water = light.map((sum) => Math.max(1, sum / Math.max(1, picked)));
+
+	for (let p = 0, i = 0; p < count; p++, i += 4) gb[p] = Math.min(data[i + 1] / water[1], data[i + 2] / water[2]);
+	const normalized = minFilter(gb, width, height, radius);
+	const guide = new Float32Array(count);
+	for (let p = 0, i = 0; p < count; p++, i += 4) {
+		guide[p] = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+	}
+	const transmission = guidedFilter(
+		guide,
+		normalized.map((value) => 1 - strength * value),
+		width,
+		height,
+		Math.max(8, Math.round(Math.min(width, height) / 20))
+	);
+	for (let p = 0, i = 0; p < count; p++, i += 4) {
+		const t = Math.max(minTransmission, transmission[p]);
+		data[i] = clampByte((data[i] - water[0]) / t + water[0]);
+		data[i + 1] = clampByte((data[i + 1] - water[1]) / t + water[1]);
+		data[i + 2] = clampByte((data[i + 2] - water[2]) / t + water[2]);
+	}
+};
+
+// Unsharp mask against a 3x3 box blur
+const sharpen = (data, width, height, amount = 0.5) => {
+	const source = Uint8ClampedArray.from(data);
+	for (let y = 1; y < height - 1; y++) {
+		for (let x = 1; x < width - 1; x++) {
+			const i = (y * width + x) * 4;
+			for (let c = 0; c < 3; c++) {
+				let sum = 0;
+				for (let dy = -1; dy <= 1; dy++) {
+					for (let dx = -1; dx <= 1; dx++) sum += source[i + (dy * width + dx) * 4 + c];
+				}
+				data[i + c] = clampByte(source[i + c] + amount * (source[i + c] - sum / 9));
+			}
+		}
+	}
+};
+
+// Enhances `imageData` in place and returns it
+const enhanceImageData = (imageData, options = {}) => {
+	const settings = { ...DEFAULT_ENHANCE_SETTINGS, ...options };
+	const { data, width, height } = imageData;
+	if (settings.whiteBalance) grayWorld(data);
+	if (settings.dehaze) dehaze(data, width, height, { strength: Number(settings.dehazeStrength) });
+	if (settings.clahe) clahe(data, width, height, { clipLimit: Number(settings.clipLimit) });
+	if (settings.sharpen) sharpen(data, width, height, Number(settings.sharpenAmount));
+	return imageData;
+};
+
+// `maxWidth` scales large frames down first, which keeps the live view responsive
+const enhanceBlob = async (blob, options = {}, { maxWidth = Infinity, type = "image/jpeg", quality = 0.92 } = {}) => {
+	const bitmap = await createImageBitmap(blob);
+	const ratio = Math.min(1, maxWidth / bitmap.width);
+	const canvas = document.createElement("canvas");
+	canvas.width = Math.round(bitmap.width * ratio);
+	canvas.height = Math.round(bitmap.height * ratio);
+	const ctx = canvas.getContext("2d");
+	ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+	bitmap.close();
+	ctx.putImageData(enhanceImageData(ctx.getImageData(0, 0, canvas.width, canvas.height), options), 0, 0);
+	const result = await new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+	if (!result) throw new Error("Enhanced image could not be encoded");
+	return result;
+};
@@ -0,0 +1,85 @@
+// Tells a dead link apart from a healthy one. The GCS can keep answering
+// while the Pixhawk is silent, so two ages are tracked: time since the last
+// telemetry frame arrived and time since `last_heartbeat` last changed.
+// Both are measured on the browser clock to stay immune to GCS clock skew.
+const LINK_STATES = {
+	HEALTHY: "healthy",
+	VEHICLE_SILENT: "vehicle-silent",
+	UNREACHABLE: "unreachable",
+};
+
+// Fields reported by the GCS itself rather than relayed from the vehicle
+const GCS_FIELDS = ["app_connect", "surface_camera_connect", "underwater_camera_connect", "date", "time"];
+
+const createLinkHealthMonitor = (options = {}) => {
+	const settings = {
+		frameTimeout: 5000,
+		heartbeatTimeout: 5000,
+		...options,
+	};
+
+	let lastFrameAt = null;
+	let lastHeartbeat = null;
+	let lastHeartbeatAt = null;
+	let transportOpen = false;
+	let current = {
+		state: LINK_STATES.UNREACHABLE,
+		frameAge: null,
+		heartbeatAge: null,
+		stale: true,
+	};
+
+	const age = (since, now) => (since === null ? null : now - since);
+
+	return {
+		get current() {
+			return current;
+		},
+
+		noteFrame(data) {
+			const now = Date.now();
+			lastFrameAt = now;
+			if (data && data.last_heartbeat && data.last_heartbeat !== lastHeartbeat) {
+				lastHeartbeat = data.last_heartbeat;
+				lastHeartbeatAt = now;
+			}
+		},
+
+		noteTransport(status) {
+			transportOpen = status === "open";
+		},
+
+		reset() {
+			lastFrameAt = lastHeartbeat = lastHeartbeatAt = null;
+		},
+
+		evaluate(now = Date.now()) {
+			const frameAge = age(lastFrameAt, now);
+			const heartbeatAge = age(lastHeartbeatAt, now);
+
+			let state = LINK_STATES.HEALTHY;
+			if (!transportOpen || frameAge === null || frameAge > settings.frameTimeout) {
+				state = LINK_STATES.UNREACHABLE;
+			} else if (heartbeatAge === null || heartbeatAge > settings.heartbeatTimeout) {
+				state = LINK_STATES.VEHICLE_SILENT;
+			}
+
+			// The banner counts from whichever source went quiet
+			const staleAge = state === LINK_STATES.UNREACHABLE ? frameAge : heartbeatAge;
+			current = {
+				state,
+				frameAge,
+				heartbeatAge,
+				stale: state !== LINK_STATES.HEALTHY,
+				staleSeconds: staleAge === null ? null : Math.floor(staleAge / 1000),
+			};
+			return current;
+		},
+
+		isStale(field) {
+			if (current.state === LINK_STATES.UNREACHABLE) return true;
+			if (current.state === LINK_STATES.VEHICLE_SILENT) return !GCS_FIELDS.includes(field);
+			return false;
+		},
+	};
+};
@@ -0,0 +1,177 @@
+// Click-to-place waypoint editor, used as a trajectory-view tool.
+// Click empty water to append a waypoint, drag a marker to move it and
+// right-click a marker to delete it. Waypoints keep the shape produced by
+// parseWaypoints() so the list can round-trip through the text boxes.
+// `onChange` also gets the edit, `{ type: "add" | "move" | "delete", index }`,
+// and while `canEdit()` is false the markers stay put and `onLocked` is called.
+const createMissionEditor = (view, options = {}) => {
+	const settings = {
+		verticalKey: "alt",
+		hitRadius: 9, // pixels
+		color: "#ffaa00",
+		canEdit: () => true,
+		onChange: () => {},
+		onNeedOrigin: () => {},
+		onLocked: () => {},
+		...options,
+	};
+
+	let waypoints = [];
+	let enabled = false;
+	let dragging = null;
+	let hover = null;
+
+	const renumber = () => {
+		waypoints = waypoints.map((wp, index) => ({ ...wp, seq: index + 1 }));
+	};
+
+	const changed = (edit) => {
+		renumber();
+		settings.onChange(waypoints.map((wp) => ({ ...wp })), edit);
+	};
+
+	const editable = () => {
+		if (settings.canEdit()) return true;
+		settings.onLocked();
+		return false;
+	};
+
+	const hitTest = (world) => {
+		const radius = settings.hitRadius / view.zoom;
+		let best = null;
+		waypoints.forEach((wp, index) => {
+			const xy = view.toXY(wp.lat, wp.lon);
+			const dist = Math.hypot(xy.x - world.x, xy.y - world.y);
+			if (dist <= radius && (!best || dist < best.dist)) best = { index, dist };
+		});
+		return best ? best.index : null;
+	};
+
+	const tool = {
+		pointerdown(world) {
+			const index = hitTest(world);
+			if (index === null || !editable()) return false;
+			dragging = index;
+			return true;
+		},
+
+		pointermove(world) {
+			if (dragging === null) return;
+			waypoints[dragging] = { ...waypoints[dragging], ...view.toLatLon(world.x, world.y) };
+		},
+
+		pointerup() {
+			if (dragging === null) return;
+			const index = dragging;
+			dragging = null;
+			changed({ type: "move", index });
+		},
+
+		click(world) {
+			if (!view.origin) {
+				settings.onNeedOrigin();
+				return;
+			}
+			if (hitTest(world) !== null || !editable()) return;
+			const previous = waypoints[waypoints.length - 1];
+			waypoints.push({
+				seq: waypoints.length + 1,
+				...view.toLatLon(world.x, world.y),
+				[settings.verticalKey]: previous ? previous[settings.verticalKey] : 0,
+				speed: previous ? previous.speed : null,
+			});
+			changed({ type: "add", index: waypoints.length - 1 });
+		},
+
+		contextmenu(world) {
+			const index = hitTest(world);
+			if (index === null || !editable()) return;
+			waypoints.splice(index, 1);
+			changed({ type: "delete", index });
+		},
+
+		hover(world) {
+			const next = hitTest(world);
+			if (next !== hover) {
+				hover = next;
+				view.canvas.style.cursor = hover === null ? "crosshair" : "move";
+			}
+		},
+	};
+
+	const drawLayer = (ctx) => {
+		if (!view.origin || waypoints.length === 0) return;
+		const points = waypoints.map((wp) => {
+			const xy = view.toXY(wp.lat, wp.lon);
+			return view.worldToScreen(xy.x, xy.y);
+		});
+
+		ctx.save();
+		ctx.setLineDash([6, 4]);
+		ctx.strokeStyle = settings.color;
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		points.forEach((p, index) => {
+			if (index === 0) ctx.moveTo(p.x, p.y);
+			else ctx.lineTo(p.x, p.y);
+		});
+		ctx.stroke();
+		ctx.setLineDash([]);
+
+		points.forEach((p, index) => {
+			ctx.beginPath();
+			ctx.arc(p.x, p.y, index === hover || index === dragging ? 9 : 7, 0, 2 * Math.PI);
+			ctx.globalAlpha = enabled ? 1 : 0.6;
+			ctx.fillStyle = settings.color;
+			ctx.fill();
+			ctx.globalAlpha = 1;
+			ctx.strokeStyle = "#fff";
+			ctx.lineWidth = 1.5;
+			ctx.stroke();
+			ctx.fillStyle = "#000";
+			ctx.font = "bold 10px monospace";
+			ctx.textAlign = "center";
+			ctx.textBaseline = "middle";
+			ctx.fillText(String(index + 1), p.x, p.y);
+		});
+		ctx.restore();
+	};
+
+	view.addLayer(drawLayer);
+
+	return {
+		get enabled() {
+			return enabled;
+		},
+
+		get waypoints() {
+			return waypoints.map((wp) => ({ ...wp }));
+		},
+
+		setWaypoints(list) {
+			waypoints = list.map((wp) => ({ ...wp }));
+			renumber();
+			if (!view.origin && waypoints.length) view.setOrigin(waypoints[0].lat, waypoints[0].lon);
+			view.draw();
+		},
+
+		configure(next) {
+			Object.assign(settings, next);
+			view.draw();
+		},
+
+		enable() {
+			enabled = true;
+			view.setTool(tool);
+			view.draw();
+		},
+
+		disable() {
+			enabled = false;
+			dragging = null;
+			hover = null;
+			view.setTool(null);
+			view.draw();
+		},
+	};
+};
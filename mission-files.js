@@ -0,0 +1,224 @@
+// Mission file import/export for the waypoint lists: QGroundControl `.plan`
+// JSON and the `QGC WPL 110` text format also written by Mission Planner.
+// Navigation commands that carry a position become waypoints, DO_CHANGE_SPEED
+// sets the speed of the waypoints after it, anything else is skipped with a
+// warning. Depth is stored as negative altitude, as ArduSub does.
+const MAV_CMD = {
+	NAV_WAYPOINT: 16,
+	NAV_LOITER_UNLIM: 17,
+	NAV_LOITER_TURNS: 18,
+	NAV_LOITER_TIME: 19,
+	NAV_RETURN_TO_LAUNCH: 20,
+	NAV_LAND: 21,
+	NAV_TAKEOFF: 22,
+	NAV_SPLINE_WAYPOINT: 82,
+	DO_CHANGE_SPEED: 178,
+};
+
+const MAV_FRAME = {
+	GLOBAL: 0,
+	MISSION: 2,
+	GLOBAL_RELATIVE_ALT: 3,
+};
+
+// Commands imported as plain waypoints at their position
+const MISSION_POSITION_COMMANDS = [
+	MAV_CMD.NAV_WAYPOINT,
+	MAV_CMD.NAV_LOITER_UNLIM,
+	MAV_CMD.NAV_LOITER_TURNS,
+	MAV_CMD.NAV_LOITER_TIME,
+	MAV_CMD.NAV_LAND,
+	MAV_CMD.NAV_TAKEOFF,
+	MAV_CMD.NAV_SPLINE_WAYPOINT,
+];
+
+const MISSION_COMMAND_NAMES = Object.fromEntries(Object.entries(MAV_CMD).map(([name, id]) => [id, name]));
+
+const toMissionAltitude = (wp, verticalKey) => {
+	const value = Number(wp[verticalKey]) || 0;
+	return verticalKey === "depth" ? -value : value;
+};
+
+const fromMissionAltitude = (alt, verticalKey) => {
+	const value = Number(alt) || 0;
+	return verticalKey === "depth" ? Math.max(0, -value) : value;
+};
+
+// Mission items in upload order, with a DO_CHANGE_SPEED ahead of every
+// waypoint whose speed differs from the one before it
+const missionItems = (waypoints, verticalKey) => {
+	const items = [];
+	let speed = null;
+	waypoints.forEach((wp) => {
+		if (wp.speed && wp.speed !== speed) {
+			speed = wp.speed;
+			items.push({ command: MAV_CMD.DO_CHANGE_SPEED, frame: MAV_FRAME.MISSION, params: [1, speed, -1, 0, 0, 0, 0] });
+		}
+		items.push({
+			command: MAV_CMD.NAV_WAYPOINT,
+			frame: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+			params: [0, 0, 0, null, wp.lat, wp.lon, toMissionAltitude(wp, verticalKey)],
+		});
+	});
+	return items;
+};
+
+// Turns `{ command, params }` items back into waypoints, collecting warnings
+const waypointsFromItems = (items, verticalKey) => {
+	const waypoints = [];
+	const warnings = [];
+	let speed = null;
+
+	items.forEach(({ command, params, label }) => {
+		const [p1, p2, , , lat, lon, alt] = params;
+		if (command === MAV_CMD.DO_CHANGE_SPEED) {
+			speed = Number(p2) > 0 ? Number(p2) : null;
+			return;
+		}
+		if (!MISSION_POSITION_COMMANDS.includes(command)) {
+			warnings.push(`${label}: skipped ${MISSION_COMMAND_NAMES[command] || `command ${command}`}`);
+			return;
+		}
+		if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon)) || (Number(lat) === 0 && Number(lon) === 0)) {
+			warnings.push(`${label}: ${MISSION_COMMAND_NAMES[command]} has no position, skipped`);
+			return;
+		}
+		if (command !== MAV_CMD.NAV_WAYPOINT) {
+			warnings.push(`${label}: ${MISSION_COMMAND_NAMES[command]} imported as a plain waypoint`);
+		}
+		waypoints.push({
+			seq: waypoints.length + 1,
+			lat: Number(lat),
+			lon: Number(lon),
+			[verticalKey]: fromMissionAltitude(alt, verticalKey),
+			speed,
+		});
+		if (verticalKey === "depth" && Number(alt) > 0) {
+			warnings.push(`${label}: altitude ${alt} is above the surface, depth set to 0`);
+		}
+		if (p1 && command === MAV_CMD.NAV_WAYPOINT) warnings.push(`${label}: hold time ${p1}s dropped`);
+	});
+
+	return { waypoints, warnings };
+};
+
+const missionToPlan = (waypoints, verticalKey = "alt", home = waypoints[0]) => {
+	const items = missionItems(waypoints, verticalKey).map((item, index) => ({
+		type: "SimpleItem",
+		autoContinue: true,
+		command: item.command,
+		doJumpId: index + 1,
+		frame: item.frame,
+		params: item.params,
+		...(item.command === MAV_CMD.NAV_WAYPOINT
+			? { Altitude: item.params[6], AltitudeMode: 1, AMSLAltAboveTerrain: null }
+			: {}),
+	}));
+
+	return {
+		fileType: "Plan",
+		version: 1,
+		groundStation: "Krakatau",
+		mission: {
+			version: 2,
+			firmwareType: 3, // ArduPilot
+			vehicleType: verticalKey === "depth" ? 12 : 11, // submarine / surface boat
+			cruiseSpeed: (waypoints.find((wp) => wp.speed) || {}).speed || 1,
+			hoverSpeed: 1,
+			plannedHomePosition: home ? [home.lat, home.lon, 0] : [0, 0, 0],
+			items,
+		},
+		geoFence: { version: 2, circles: [], polygons: [] },
+		rallyPoints: { version: 2, points: [] },
+	};
+};
+
+const missionFromPlan = (plan, verticalKey = "alt") => {
+	if (!plan || plan.fileType !== "Plan" || !plan.mission || !Array.isArray(plan.mission.items)) {
+		throw new Error("Not a QGroundControl .plan file");
+	}
+
+	const items = [];
+	const warnings = [];
+	const collect = (list, prefix) => {
+		list.forEach((item, index) => {
+			const label = `${prefix}${index + 1}`;
+			if (item.type === "SimpleItem") {
+				items.push({ command: item.command, params: item.params || [], label });
+			} else if (item.TransectStyleComplexItem && Array.isArray(item.TransectStyleComplexItem.Items)) {
+				// Surveys and corridor scans keep their generated legs as simple items
+				collect(item.TransectStyleComplexItem.Items, `${label}.`);
+			} else {
+				warnings.push(`Item ${label}: skipped ${item.complexItemType || item.type || "unknown"} item`);
+			}
+		});
+	};
+	collect(plan.mission.items, "");
+
+	const result = waypointsFromItems(
+		items.map((item) => ({ ...item, label: `Item ${item.label}` })),
+		verticalKey
+	);
+	return { waypoints: result.waypoints, warnings: [...warnings, ...result.warnings] };
+};
+
+// Row 0 is the home position, as QGC and Mission Planner expect
+const missionToWPL = (waypoints, verticalKey = "alt", home = waypoints[0]) => {
+	const row = (values) => values.join("\t");
+	const lines = ["QGC WPL 110"];
+	lines.push(row([0, 1, MAV_FRAME.GLOBAL, MAV_CMD.NAV_WAYPOINT, 0, 0, 0, 0, home ? home.lat.toFixed(7) : 0, home ? home.lon.toFixed(7) : 0, 0, 1]));
+	missionItems(waypoints, verticalKey).forEach((item, index) => {
+		const params = item.params.map((value) => (value === null ? 0 : value));
+		const [lat, lon] = [params[4], params[5]];
+		lines.push(
+			row([
+				index + 1,
+				0,
+				item.frame,
+				item.command,
+				...params.slice(0, 4),
+				typeof lat === "number" && lat !== 0 ? lat.toFixed(7) : 0,
+				typeof lon === "number" && lon !== 0 ? lon.toFixed(7) : 0,
+				Number(params[6].toFixed(2)),
+				1,
+			])
+		);
+	});
+	return `${lines.join("\n")}\n`;
+};
+
+const missionFromWPL = (text, verticalKey = "alt") => {
+	const lines = String(text).split(/\r?\n/);
+	if (!/^QGC WPL 110\s*$/.test(lines[0] || "")) throw new Error('Missing "QGC WPL 110" header');
+
+	const items = [];
+	const warnings = [];
+	lines.slice(1).forEach((line, index) => {
+		if (line.trim() === "") return;
+		const label = `Line ${index + 2}`;
+		const fields = line.trim().split(/\s+/).map(Number);
+		if (fields.length < 12 || fields.some(Number.isNaN)) {
+			warnings.push(`${label}: expected 12 numeric fields, skipped`);
+			return;
+		}
+		const [seq, , frame, command, ...rest] = fields;
+		if (seq === 0 && frame === MAV_FRAME.GLOBAL) return; // home position
+		items.push({ command, params: rest.slice(0, 7), label });
+	});
+
+	const result = waypointsFromItems(items, verticalKey);
+	return { waypoints: result.waypoints, warnings: [...warnings, ...result.warnings] };
+};
+
+// Detects the format from the content rather than the file extension
+const parseMissionFile = (text, verticalKey = "alt") => {
+	const trimmed = String(text).trim();
+	if (trimmed.startsWith("QGC WPL")) return missionFromWPL(trimmed, verticalKey);
+	let plan;
+	try {
+		plan = JSON.parse(trimmed);
+	} catch (error) {
+		throw new Error("Unrecognised mission file, expected a .plan or QGC WPL 110 file");
+	}
+	return missionFromPlan(plan, verticalKey);
+};
@@ -0,0 +1,157 @@
+// Mission progress from telemetry: maps `current_wp` onto the waypoint list
+// the vehicle is flying and derives the active leg, distance and bearing to
+// the next waypoint, cross-track error, percent complete and ETA.
+//
+// The list comes from setWaypoints() or, when the GCS echoes them back in
+// telemetry, from whichever of `surface_camera_waypoints` /
+// `underwater_camera_waypoints` changed last.
+const MISSION_LIST_FIELDS = ["surface_camera_waypoints", "underwater_camera_waypoints"];
+
+// Accepts waypoint objects as well as the raw "lat,lon,..." tokens
+const toMissionPoint = (item) => {
+	if (item && typeof item === "object") {
+		const lat = Number(item.lat);
+		const lon = Number(item.lon !== undefined ? item.lon : item.long);
+		return Number.isFinite(lat) && Number.isFinite(lon) ? { ...item, lat, lon } : null;
+	}
+	const [lat, lon] = String(item).split(",").map(Number);
+	return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+};
+
+// Local east/north offset in meters, fine over mission distances
+const missionOffset = (from, to) => {
+	const rad = Math.PI / 180;
+	return {
+		east: (to.lon - from.lon) * rad * 6371000 * Math.cos(from.lat * rad),
+		north: (to.lat - from.lat) * rad * 6371000,
+	};
+};
+
+const missionDistance = (from, to) => {
+	const { east, north } = missionOffset(from, to);
+	return Math.hypot(east, north);
+};
+
+const createMissionProgress = (options = {}) => {
+	const settings = {
+		currentWpBase: 0, // current_wp of the first waypoint (1 when seq 0 is home)
+		speedWindow: 10000, // ms of positions used for the speed estimate
+		...options,
+	};
+
+	let waypoints = [];
+	let source = null;
+	let start = null;
+	let echoed = {};
+	let samples = [];
+
+	const adopt = (list, from) => {
+		waypoints = (Array.isArray(list) ? list : []).map(toMissionPoint).filter(Boolean);
+		source = from;
+		start = null;
+	};
+
+	// Picks up a list the GCS echoes back, ignoring frames where nothing changed
+	const noteEchoedLists = (data) => {
+		MISSION_LIST_FIELDS.forEach((field) => {
+			if (!Array.isArray(data[field])) return;
+			const key = JSON.stringify(data[field]);
+			if (echoed[field] !== undefined && echoed[field] !== key && data[field].length) adopt(data[field], field);
+			if (echoed[field] === undefined && data[field].length && waypoints.length === 0) adopt(data[field], field);
+			echoed[field] = key;
+		});
+	};
+
+	const noteSpeed = (position, t) => {
+		samples.push({ ...position, t });
+		while (samples.length > 2 && t - samples[0].t > settings.speedWindow) samples.shift();
+		if (samples.length < 2) return null;
+		let meters = 0;
+		for (let i = 1; i < samples.length; i++) meters += missionDistance(samples[i - 1], samples[i]);
+		const seconds = (t - samples[0].t) / 1000;
+		return seconds > 0 ? meters / seconds : null;
+	};
+
+	return {
+		get waypoints() {
+			return waypoints.map((wp) => ({ ...wp }));
+		},
+
+		get source() {
+			return source;
+		},
+
+		setWaypoints(list, from = "manual") {
+			adopt(list, from);
+		},
+
+		reset() {
+			waypoints = [];
+			source = null;
+			start = null;
+			echoed = {};
+			samples = [];
+		},
+
+		// Returns null until there is a mission and a position fix
+		update(data, t = Date.now()) {
+			noteEchoedLists(data);
+			const position = { lat: Number(data.lat), lon: Number(data.long) };
+			if (!Number.isFinite(position.lat) || !Number.isFinite(position.lon) || (!position.lat && !position.lon)) {
+				return null;
+			}
+			const speed = noteSpeed(position, t);
+			if (waypoints.length === 0) return null;
+			if (!start) start = position;
+
+			const index = Math.max(0, Number(data.current_wp) - settings.currentWpBase) || 0;
+			const total = waypoints.length;
+			const legLengths = waypoints.map((wp, i) => missionDistance(i === 0 ? start : waypoints[i - 1], wp));
+			const routeLength = legLengths.reduce((sum, length) => sum + length, 0);
+
+			if (index >= total) {
+				return { index: total, total, complete: true, from: null, to: null, distance: 0, bearing: null, crossTrack: 0, percent: 100, remaining: 0, speed, eta: 0 };
+			}
+
+			const from = index === 0 ? start : waypoints[index - 1];
+			const to = waypoints[index];
+			const leg = missionOffset(from, to);
+			const here = missionOffset(from, position);
+			const legLength = legLengths[index];
+			// Positive cross-track error means the vehicle is right of the leg
+			const crossTrack = legLength > 0 ? (here.north * leg.east - here.east * leg.north) / legLength : 0;
+			const along = legLength > 0 ? Math.min(legLength, Math.max(0, (here.east * leg.east + here.north * leg.north) / legLength)) : 0;
+
+			const toNext = missionOffset(position, to);
+			const distance = Math.hypot(toNext.east, toNext.north);
+			const bearing = ((Math.atan2(toNext.east, toNext.north) * 180) / Math.PI + 360) % 360;
+			const done = legLengths.slice(0, index).reduce((sum, length) => sum + length, 0) + along;
+			const remaining = distance + legLengths.slice(index + 1).reduce((sum, length) => sum + length, 0);
+
+			return {
+				index,
+				total,
+				complete: false,
+				from,
+				to,
+				distance,
+				bearing,
+				crossTrack,
+				percent: routeLength > 0 ? Math.min(100, (done / routeLength) * 100) : 0,
+				remaining,
+				speed,
+				eta: speed && speed > 0.05 ? remaining / speed : null, // seconds
+			};
+		},
+	};
+};
+
+const formatMissionEta = (seconds) => {
+	if (seconds === null || seconds === undefined) return "--:--";
+	const total = Math.round(seconds);
+	const h = Math.floor(total / 3600);
+	const m = Math.floor((total % 3600) / 60);
+	const s = total % 60;
+	const pad = (n) => String(n).padStart(2, "0");
+	return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+};
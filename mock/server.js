@@ -0,0 +1,737 @@
+'use strict';
+
+// Offline stand-in for the Flask GCS server.
+// Usage: node mock/server.js [port]   (default 5001)
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const CONFIG = {
+    PORT: Number(process.argv[2] || process.env.PORT || 5001),
+    TICK_MS: 100,                // simulation step
+    WS_INTERVAL: 200,            // telemetry push rate over /ws (ms)
+    STREAM_INTERVAL: 200,        // MJPEG frame interval (ms)
+    HOME: { lat: -5.4700, lon: 105.2660 }, // Teluk Lampung
+    CRUISE_SPEED: 1.5,           // m/s
+    ARRIVE_RADIUS: 2,            // meters
+    LOITER_RADIUS: 25,           // meters, used when there is no mission
+    BATTERY_DRAIN: 0.002,        // percent per tick
+    EARTH_RADIUS: 6371000,
+    WS_GUID: '258EAFA5-E914-47DA-95CA-C5AB0DC85B11',
+    TOKEN_TTL: Number(process.env.TOKEN_TTL || 3600), // seconds
+    LEASE_TTL: 15,               // seconds a control lease lives without renewal
+    // Bench credentials only; MOCK_USERS="name:password:role,..." replaces them
+    USERS: process.env.MOCK_USERS
+        ? Object.fromEntries(process.env.MOCK_USERS.split(',').map((entry) => {
+            const [name, password, role = 'viewer'] = entry.split(':');
+            return [name, { password, role }];
+        }))
+        : {
+            krakatau: { password: 'andover', role: 'admin' },
+            operator: { password: 'operator', role: 'operator' },
+            viewer: { password: 'viewer', role: 'viewer' },
+        },
+    // Same rules as roles.js in the dashboard
+    ROLE_PERMISSIONS: {
+        viewer: [],
+        operator: ['control', 'camera', 'capture'],
+        admin: ['*'],
+    },
+};
+
+const FRAMES = {
+    surface: fs.readFileSync(path.join(__dirname, 'surface.jpg')),
+    underwater: fs.readFileSync(path.join(__dirname, 'underwater.jpg')),
+};
+
+// ============================================
+// GLOBAL STATE
+// ============================================
+const state = {
+    port: 'COM7',
+    baudrate: '9600',
+    missions: { surface: [], underwater: [] },
+    activeMission: null,         // camera whose mission the boat is running
+    cameras: {
+        surface: { latest: null, captures: 0 },
+        underwater: { latest: null, captures: 0 },
+    },
+    sessions: new Map(),         // token -> { username, role, expiresAt }
+    lease: null,                 // { token, username, role, since, expiresAt }
+    leaseRequest: null,          // { token, username, role, since }
+    sockets: new Set(),
+    streams: new Set(),
+    loiterAngle: 0,
+};
+
+const vehicleData = {
+    app_connect: false,
+    alt: 0,
+    battery: 100,
+    current_wp: 0,
+    date: '',
+    depth: 0,
+    is_armable: true,
+    last_heartbeat: '',
+    lat: CONFIG.HOME.lat,
+    long: CONFIG.HOME.lon,
+    mode: 'HOLD',
+    pitch: 0,
+    roll: 0,
+    surface_camera_connect: false,
+    surface_camera_waypoints: [],
+    system_status: 'STANDBY',
+    time: '',
+    underwater_camera_connect: false,
+    underwater_camera_waypoints: [],
+    yaw: 0,
+};
+
+// ============================================
+// VEHICLE SIMULATION
+// ============================================
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatDate(d) {
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatTime(d) {
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+// Accepts the raw "lat,lon" tokens the dashboard posts today as well as
+// waypoint objects; anything without coordinates is ignored. Only underwater
+// missions dive: a surface waypoint's third value is an altitude, not a depth.
+function toWaypoint(item, camera) {
+    let waypoint;
+    if (item && typeof item === 'object') {
+        const lat = Number(item.lat);
+        const lon = Number(item.lon ?? item.long);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        waypoint = { lat, lon, depth: Number(item.depth) || 0, speed: Number(item.speed) || null };
+    } else {
+        const parts = String(item).split(',').map(Number);
+        if (parts.length < 2 || !parts.slice(0, 2).every(Number.isFinite)) return null;
+        waypoint = { lat: parts[0], lon: parts[1], depth: parts[2] || 0, speed: parts[3] || null };
+    }
+    if (camera !== 'underwater') waypoint.depth = 0;
+    return waypoint;
+}
+
+// Each camera keeps its own mission; the one posted last is the one the boat runs
+function loadMission(camera, items) {
+    const mission = (Array.isArray(items) ? items : []).map((item) => toWaypoint(item, camera)).filter(Boolean);
+    state.missions[camera] = mission;
+    state.activeMission = mission.length ? camera : null;
+    vehicleData.current_wp = 0;
+    vehicleData.mode = mission.length ? 'AUTO' : 'HOLD';
+    console.log(`${camera} mission loaded: ${mission.length} waypoint(s)`);
+}
+
+function metersToDegrees(north, east, lat) {
+    const dLat = (north / CONFIG.EARTH_RADIUS) * (180 / Math.PI);
+    const dLon = (east / (CONFIG.EARTH_RADIUS * Math.cos(lat * Math.PI / 180))) * (180 / Math.PI);
+    return { dLat, dLon };
+}
+
+function offsetMeters(fromLat, fromLon, toLat, toLon) {
+    const north = (toLat - fromLat) * Math.PI / 180 * CONFIG.EARTH_RADIUS;
+    const east = (toLon - fromLon) * Math.PI / 180 * CONFIG.EARTH_RADIUS * Math.cos(fromLat * Math.PI / 180);
+    return { north, east };
+}
+
+function stepVehicle() {
+    const dt = CONFIG.TICK_MS / 1000;
+    const mission = state.activeMission ? state.missions[state.activeMission] : [];
+    const target = mission[vehicleData.current_wp];
+    let north;
+    let east;
+    let speed = CONFIG.CRUISE_SPEED;
+
+    if (mission.length && !target) {
+        // Mission complete: hold at the last waypoint. current_wp stays one
+        // past the end, which the dashboard reads as complete.
+        north = 0;
+        east = 0;
+        vehicleData.depth += ((mission[mission.length - 1].depth || 0) - vehicleData.depth) * 0.05;
+    } else if (target) {
+        const offset = offsetMeters(vehicleData.lat, vehicleData.long, target.lat, target.lon);
+        const dist = Math.hypot(offset.north, offset.east);
+        speed = target.speed || CONFIG.CRUISE_SPEED;
+
+        if (dist < CONFIG.ARRIVE_RADIUS) {
+            vehicleData.current_wp += 1;
+            if (vehicleData.current_wp >= mission.length) {
+                vehicleData.mode = 'HOLD';
+                console.log(`${state.activeMission} mission complete`);
+            }
+            return;
+        }
+
+        const step = Math.min(dist, speed * dt);
+        north = offset.north / dist * step;
+        east = offset.east / dist * step;
+        vehicleData.depth += ((target.depth || 0) - vehicleData.depth) * 0.05;
+    } else {
+        // Circle the home point so the trajectory view has something to draw
+        state.loiterAngle += (speed * dt) / CONFIG.LOITER_RADIUS;
+        const here = offsetMeters(CONFIG.HOME.lat, CONFIG.HOME.lon, vehicleData.lat, vehicleData.long);
+        north = CONFIG.LOITER_RADIUS * Math.cos(state.loiterAngle) - here.north;
+        east = CONFIG.LOITER_RADIUS * Math.sin(state.loiterAngle) - here.east;
+        const len = Math.hypot(north, east);
+        if (len > speed * dt) {
+            north = north / len * speed * dt;
+            east = east / len * speed * dt;
+        }
+        vehicleData.depth *= 0.95;
+    }
+
+    const { dLat, dLon } = metersToDegrees(north, east, vehicleData.lat);
+    vehicleData.lat += dLat;
+    vehicleData.long += dLon;
+
+    if (north || east) {
+        vehicleData.yaw = (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+    }
+    const t = Date.now() / 1000;
+    vehicleData.roll = 4 * Math.sin(t * 1.3);
+    vehicleData.pitch = 2 * Math.sin(t * 0.7);
+    vehicleData.alt = -vehicleData.depth;
+}
+
+function tick() {
+    const now = new Date();
+
+    if (vehicleData.app_connect) {
+        stepVehicle();
+        vehicleData.battery = Math.max(0, vehicleData.battery - CONFIG.BATTERY_DRAIN);
+        vehicleData.last_heartbeat = formatTime(now);
+        vehicleData.system_status = vehicleData.battery < 15 ? 'CRITICAL' : 'ACTIVE';
+    } else {
+        vehicleData.system_status = 'STANDBY';
+    }
+
+    vehicleData.date = formatDate(now);
+    vehicleData.time = formatTime(now);
+}
+
+function snapshot() {
+    return {
+        ...vehicleData,
+        lat: Number(vehicleData.lat.toFixed(7)),
+        long: Number(vehicleData.long.toFixed(7)),
+        alt: Number(vehicleData.alt.toFixed(2)),
+        depth: Number(vehicleData.depth.toFixed(2)),
+        battery: Number(vehicleData.battery.toFixed(1)),
+        yaw: Number(vehicleData.yaw.toFixed(1)),
+        pitch: Number(vehicleData.pitch.toFixed(1)),
+        roll: Number(vehicleData.roll.toFixed(1)),
+    };
+}
+
+// ============================================
+// CONTEXT COMMANDS
+// ============================================
+function applyContext(body) {
+    if ('port' in body) state.port = body.port;
+    if ('baudrate' in body) state.baudrate = body.baudrate;
+
+    if ('app_connect' in body) {
+        vehicleData.app_connect = Boolean(body.app_connect);
+        console.log(`GCS ${vehicleData.app_connect ? 'connected' : 'disconnected'} (${state.port} @ ${state.baudrate})`);
+    }
+
+    ['surface', 'underwater'].forEach((camera) => {
+        const connectKey = `${camera}_camera_connect`;
+        const waypointKey = `${camera}_camera_waypoints`;
+
+        if (connectKey in body) {
+            vehicleData[connectKey] = Boolean(body[connectKey]);
+            if (!vehicleData[connectKey]) endStreams(camera);
+        }
+        if (waypointKey in body) {
+            vehicleData[waypointKey] = body[waypointKey];
+            loadMission(camera, body[waypointKey]);
+        }
+    });
+}
+
+// ============================================
+// HTTP HELPERS
+// ============================================
+function setCors(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                const body = raw ? JSON.parse(raw) : {};
+                // Every route takes an object; `null`, arrays and scalars are rejected here
+                if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Body is not a JSON object');
+                resolve(body);
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// ============================================
+// AUTH
+// ============================================
+function login(body) {
+    const account = Object.prototype.hasOwnProperty.call(CONFIG.USERS, body.username) && CONFIG.USERS[body.username];
+    if (!account || account.password !== body.password) return null;
+
+    const user = { username: body.username, role: account.role };
+    const token = crypto.randomBytes(24).toString('hex');
+    state.sessions.set(token, { ...user, expiresAt: Date.now() + CONFIG.TOKEN_TTL * 1000 });
+    console.log(`${user.username} logged in as ${user.role}`);
+    return { status: 'success', token, expires_in: CONFIG.TOKEN_TTL, user };
+}
+
+function bearerToken(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+// The session behind the request's bearer token, or null when it is missing,
+// unknown or expired
+function sessionFor(req) {
+    const token = bearerToken(req);
+    const session = token && state.sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+        state.sessions.delete(token);
+        return null;
+    }
+    return session;
+}
+
+function allows(session, permission) {
+    const granted = CONFIG.ROLE_PERMISSIONS[session.role] || [];
+    return granted.includes('*') || granted.includes(permission);
+}
+
+function contextPermissions(body) {
+    return Object.keys(body).map((key) => {
+        if (key === 'app_connect') return 'gcs';
+        if (key === 'port' || key === 'baudrate') return 'serial';
+        if (/^(surface|underwater)_camera_connect$/.test(key)) return 'camera';
+        if (/^(surface|underwater)_camera_waypoints$/.test(key)) return 'waypoints';
+        return 'command';
+    });
+}
+
+// Answers 401 without a valid session and 403 when its role lacks one of
+// `permissions`; returns the session when the request may go ahead
+function requireSession(req, res, permissions = []) {
+    const session = sessionFor(req);
+    if (!session) {
+        sendJson(res, 401, { status: 'error', message: 'Login required' });
+        return null;
+    }
+    const denied = permissions.find((permission) => !allows(session, permission));
+    if (denied) {
+        sendJson(res, 403, { status: 'error', message: `Role ${session.role} may not use ${denied}` });
+        return null;
+    }
+    return session;
+}
+
+// ============================================
+// CONTROL LEASE
+// ============================================
+// One client at a time may send commands. The lease belongs to a session
+// token, so two laptops logged in as the same user still count as two.
+function currentLease() {
+    if (state.lease && (state.lease.expiresAt <= Date.now() || !state.sessions.has(state.lease.token))) {
+        console.log(`Control lease of ${state.lease.username} expired`);
+        state.lease = null;
+    }
+    if (state.leaseRequest && !state.sessions.has(state.leaseRequest.token)) state.leaseRequest = null;
+    return state.lease;
+}
+
+function grantLease(token, session) {
+    state.lease = {
+        token,
+        username: session.username,
+        role: session.role,
+        since: new Date().toISOString(),
+        expiresAt: Date.now() + CONFIG.LEASE_TTL * 1000,
+    };
+    if (state.leaseRequest && state.leaseRequest.token === token) state.leaseRequest = null;
+    console.log(`Control lease granted to ${session.username}`);
+}
+
+function leaseView(token) {
+    const lease = currentLease();
+    const person = (entry) => entry && { username: entry.username, role: entry.role, since: entry.since };
+    return {
+        holder: person(lease),
+        request: person(state.leaseRequest),
+        yours: Boolean(token && lease && lease.token === token),
+        requested: Boolean(token && state.leaseRequest && state.leaseRequest.token === token),
+        ttl: CONFIG.LEASE_TTL,
+    };
+}
+
+// Answers 409 unless the caller holds the lease
+function requireLease(req, res) {
+    const lease = currentLease();
+    if (lease && lease.token === bearerToken(req)) return true;
+    const message = lease ? `Control is held by ${lease.username}` : 'Take control first';
+    sendJson(res, 409, { status: 'error', message, ...leaseView(bearerToken(req)) });
+    return false;
+}
+
+async function handleLease(action, req, res) {
+    const token = bearerToken(req);
+    if (!action) {
+        sendJson(res, 200, leaseView(token));
+        return;
+    }
+
+    const session = requireSession(req, res, action === 'release' ? [] : ['control']);
+    if (!session) return;
+    const lease = currentLease();
+    const yours = lease && lease.token === token;
+    const conflict = (message) => sendJson(res, 409, { status: 'error', message, ...leaseView(token) });
+
+    if (action === 'acquire' || action === 'renew') {
+        if (yours) lease.expiresAt = Date.now() + CONFIG.LEASE_TTL * 1000;
+        else if (!lease && action === 'acquire') grantLease(token, session);
+        else return conflict(lease ? `Control is held by ${lease.username}` : 'Control lease expired');
+    } else if (action === 'release') {
+        if (yours) {
+            console.log(`Control lease released by ${session.username}`);
+            state.lease = null;
+            // Whoever asked for it gets it
+            const request = state.leaseRequest;
+            if (request && state.sessions.has(request.token)) grantLease(request.token, state.sessions.get(request.token));
+            state.leaseRequest = null;
+        }
+    } else if (action === 'request') {
+        const pending = state.leaseRequest;
+        // One request at a time, so the holder knows whom they hand over to
+        if (!lease) grantLease(token, session);
+        else if (pending && pending.token !== token && !yours) return conflict(`${pending.username} is already asking for control`);
+        else if (!yours && !pending) state.leaseRequest = { token, username: session.username, role: session.role, since: new Date().toISOString() };
+    } else if (action === 'handover') {
+        if (!yours) return conflict('Only the holder can hand over control');
+        const body = await readJson(req).catch(() => ({}));
+        const request = state.leaseRequest;
+        state.leaseRequest = null;
+        if (body.accept && request && state.sessions.has(request.token)) grantLease(request.token, state.sessions.get(request.token));
+    } else if (action === 'force') {
+        if (!allows(session, 'force')) {
+            sendJson(res, 403, { status: 'error', message: `Role ${session.role} may not take control by force` });
+            return;
+        }
+        if (!yours) {
+            console.log(`Control taken by force by ${session.username}${lease ? ` from ${lease.username}` : ''}`);
+            grantLease(token, session);
+        }
+    } else {
+        sendJson(res, 404, { status: 'error', message: `Unknown lease action: ${action}` });
+        return;
+    }
+    sendJson(res, 200, leaseView(token));
+}
+
+// ============================================
+// CAMERAS
+// ============================================
+function streamCamera(camera, req, res) {
+    if (!vehicleData[`${camera}_camera_connect`]) {
+        sendJson(res, 503, { status: 'error', message: `${camera} camera is not started` });
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'multipart/x-mixed-replace; boundary=frame',
+        'Cache-Control': 'no-store',
+        Connection: 'close',
+    });
+
+    const stream = { camera, res };
+    const writeFrame = () => {
+        const frame = FRAMES[camera];
+        res.write(`--frame\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+        res.write(frame);
+        res.write('\r\n');
+    };
+
+    writeFrame();
+    stream.timer = setInterval(writeFrame, CONFIG.STREAM_INTERVAL);
+    state.streams.add(stream);
+
+    req.on('close', () => {
+        clearInterval(stream.timer);
+        state.streams.delete(stream);
+    });
+}
+
+function endStreams(camera) {
+    state.streams.forEach((stream) => {
+        if (stream.camera !== camera) return;
+        clearInterval(stream.timer);
+        stream.res.end();
+        state.streams.delete(stream);
+    });
+}
+
+function captureCamera(camera, res) {
+    const cam = state.cameras[camera];
+    cam.latest = FRAMES[camera];
+    cam.captures += 1;
+    console.log(`${camera} capture #${cam.captures}`);
+    sendJson(res, 200, {
+        status: 'success',
+        message: `${camera} image captured`,
+        capture: cam.captures,
+        data: snapshot(),
+    });
+}
+
+function latestImage(camera, res) {
+    const latest = state.cameras[camera].latest;
+    if (!latest) {
+        sendJson(res, 404, { status: 'error', message: `No ${camera} image captured yet` });
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Cache-Control': 'no-store' });
+    res.end(latest);
+}
+
+// ============================================
+// ROUTES
+// ============================================
+async function handleRequest(req, res) {
+    setCors(res);
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    const route = `${req.method} ${pathname}`;
+
+    if (route === 'GET /context') {
+        sendJson(res, 200, { status: 'success', data: snapshot() });
+        return;
+    }
+
+    if (route === 'POST /auth/login') {
+        let body;
+        try {
+            body = await readJson(req);
+        } catch (error) {
+            sendJson(res, 400, { status: 'error', message: 'Invalid JSON body' });
+            return;
+        }
+        if (typeof body.username !== 'string' || typeof body.password !== 'string') {
+            sendJson(res, 400, { status: 'error', message: 'username and password are required' });
+            return;
+        }
+        const result = login(body);
+        if (result) sendJson(res, 200, result);
+        else sendJson(res, 401, { status: 'error', message: 'Invalid username or password' });
+        return;
+    }
+
+    if (route === 'POST /auth/logout') {
+        const token = bearerToken(req);
+        if (token) state.sessions.delete(token);
+        if (state.lease && state.lease.token === token) state.lease = null;
+        sendJson(res, 200, { status: 'success' });
+        return;
+    }
+
+    if (route === 'POST /context') {
+        let body;
+        try {
+            body = await readJson(req);
+        } catch (error) {
+            sendJson(res, 400, { status: 'error', message: 'Invalid JSON body' });
+            return;
+        }
+        if (!requireSession(req, res, contextPermissions(body)) || !requireLease(req, res)) return;
+        applyContext(body);
+        sendJson(res, 200, { status: 'success', data: snapshot() });
+        return;
+    }
+
+    const lease = pathname.match(/^\/control\/lease(?:\/(acquire|renew|release|request|handover|force))?$/);
+    if (lease && (req.method === 'POST') === Boolean(lease[1])) {
+        await handleLease(lease[1], req, res);
+        return;
+    }
+
+    if (route === 'GET /vehicle_data') {
+        sendJson(res, 200, snapshot());
+        return;
+    }
+
+    if (route === 'GET /status') {
+        sendJson(res, 200, { status: 'ok', app_connect: vehicleData.app_connect, port: state.port, baudrate: state.baudrate });
+        return;
+    }
+
+    const camera = pathname.match(/^\/camera\/(surface|underwater)-(stream|capture|latest)$/);
+    if (camera && req.method === 'GET') {
+        const [, name, action] = camera;
+        if (action === 'capture' && (!requireSession(req, res, ['capture']) || !requireLease(req, res))) return;
+        if (action === 'stream') streamCamera(name, req, res);
+        if (action === 'capture') captureCamera(name, res);
+        if (action === 'latest') latestImage(name, res);
+        return;
+    }
+
+    sendJson(res, 404, { status: 'error', message: `Not found: ${route}` });
+}
+
+// ============================================
+// WEBSOCKET (/ws)
+// ============================================
+function encodeFrame(payload, opcode = 0x1) {
+    const data = Buffer.from(payload);
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    return Buffer.concat([header, data]);
+}
+
+// Only control frames matter here: the dashboards never send data over /ws.
+function handleClientFrames(socket, buffer) {
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        const mask = masked ? buffer.slice(cursor, cursor + 4) : null;
+        if (masked) cursor += 4;
+        if (buffer.length < cursor + length) return;
+
+        const payload = Buffer.from(buffer.slice(cursor, cursor + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        if (opcode === 0x8) {
+            socket.end(encodeFrame(payload, 0x8));
+            return;
+        }
+        if (opcode === 0x9) {
+            socket.write(encodeFrame(payload, 0xA));
+        }
+
+        offset = cursor + length;
+    }
+}
+
+function handleUpgrade(req, socket) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    const key = req.headers['sec-websocket-key'];
+
+    if (pathname !== '/ws' || !key) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + CONFIG.WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+    ].join('\r\n'));
+
+    state.sockets.add(socket);
+    console.log(`WebSocket client connected (${state.sockets.size})`);
+
+    socket.on('data', (buffer) => handleClientFrames(socket, buffer));
+    socket.on('close', () => {
+        state.sockets.delete(socket);
+        console.log(`WebSocket client disconnected (${state.sockets.size})`);
+    });
+    socket.on('error', () => state.sockets.delete(socket));
+}
+
+function broadcast() {
+    if (state.sockets.size === 0) return;
+    const frame = encodeFrame(JSON.stringify(snapshot()));
+    state.sockets.forEach((socket) => socket.write(frame));
+}
+
+// ============================================
+// START SERVER
+// ============================================
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+        console.error(error);
+        if (!res.headersSent) sendJson(res, 500, { status: 'error', message: error.message });
+    });
+});
+
+server.on('upgrade', handleUpgrade);
+
+setInterval(tick, CONFIG.TICK_MS);
+setInterval(broadcast, CONFIG.WS_INTERVAL);
+tick();
+
+server.listen(CONFIG.PORT, () => {
+    console.log(`Mock GCS server listening on http://localhost:${CONFIG.PORT}`);
+    console.log('  GET/POST /context, GET /vehicle_data, GET /status, WS /ws');
+    console.log('  POST /auth/{login,logout}');
+    console.log('  GET /control/lease, POST /control/lease/{acquire,renew,release,request,handover,force}');
+    console.log('  GET /camera/{surface,underwater}-{stream,capture,latest}');
+});
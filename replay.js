@@ -0,0 +1,151 @@
+// Plays back a recorded session (see session-store.js) on the session's own
+// clock. Consumers subscribe to the same event types that were recorded and
+// get a "reset" before a seek replays everything up to the new position.
+const createReplayPlayer = (options = {}) => {
+	const settings = {
+		tickInterval: 50,
+		speeds: [0.5, 1, 2, 4, 8, 16],
+		...options,
+	};
+
+	const listeners = {
+		telemetry: new Set(),
+		command: new Set(),
+		capture: new Set(),
+		reset: new Set(),
+		state: new Set(),
+	};
+
+	let events = [];
+	let startT = 0;
+	let endT = 0;
+	let position = 0;
+	let cursor = 0;
+	let playing = false;
+	let speed = 1;
+	let timer = null;
+	let lastTick = 0;
+
+	const emit = (event, payload, meta) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload, meta);
+			} catch (error) {
+				console.error(`Replay ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const snapshot = () => ({
+		playing,
+		speed,
+		position,
+		duration: endT - startT,
+		time: startT + position,
+		loaded: events.length > 0,
+	});
+
+	// Emits every event up to `target` (ms since session start)
+	const advanceTo = (target, seeking = false) => {
+		while (cursor < events.length && events[cursor].t - startT <= target) {
+			const event = events[cursor];
+			if (listeners[event.type]) emit(event.type, event.payload, { t: event.t, seeking });
+			cursor += 1;
+		}
+		position = target;
+	};
+
+	const tick = () => {
+		const now = Date.now();
+		const target = Math.min(endT - startT, position + (now - lastTick) * speed);
+		lastTick = now;
+		advanceTo(target);
+		if (target >= endT - startT) {
+			stopTimer();
+			playing = false;
+		}
+		emit("state", snapshot());
+	};
+
+	const stopTimer = () => {
+		if (timer) {
+			clearInterval(timer);
+			timer = null;
+		}
+	};
+
+	return {
+		get state() {
+			return snapshot();
+		},
+
+		get speeds() {
+			return settings.speeds;
+		},
+
+		load(sessionEvents) {
+			stopTimer();
+			playing = false;
+			events = [...sessionEvents].sort((a, b) => a.t - b.t);
+			startT = events.length ? events[0].t : 0;
+			endT = events.length ? events[events.length - 1].t : 0;
+			this.seek(0);
+		},
+
+		unload() {
+			stopTimer();
+			playing = false;
+			events = [];
+			startT = endT = position = cursor = 0;
+			emit("reset");
+			emit("state", snapshot());
+		},
+
+		play() {
+			if (!events.length || playing) return;
+			if (position >= endT - startT) this.seek(0);
+			playing = true;
+			lastTick = Date.now();
+			timer = setInterval(tick, settings.tickInterval);
+			emit("state", snapshot());
+		},
+
+		pause() {
+			stopTimer();
+			playing = false;
+			emit("state", snapshot());
+		},
+
+		toggle() {
+			if (playing) this.pause();
+			else this.play();
+		},
+
+		setSpeed(value) {
+			const next = Number(value);
+			if (!settings.speeds.includes(next)) throw new Error(`Unsupported replay speed: ${value}`);
+			speed = next;
+			emit("state", snapshot());
+		},
+
+		// Rebuilds consumer state from the start so trails match the new position
+		seek(offset) {
+			const target = Math.max(0, Math.min(endT - startT, Number(offset) || 0));
+			cursor = 0;
+			emit("reset");
+			advanceTo(target, true);
+			lastTick = Date.now();
+			emit("state", snapshot());
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown replay event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
@@ -0,0 +1,44 @@
+// What each login role may do. The role comes with the user from
+// `POST /auth/login`; a user without one is treated as a viewer. The backend
+// is expected to enforce the same rules, the dashboard only hides controls
+// and refuses to send commands it knows will be rejected.
+const ROLES = ["viewer", "operator", "admin"];
+
+const ROLE_PERMISSIONS = {
+	viewer: [],
+	operator: ["control", "camera", "capture"],
+	admin: ["*"],
+};
+
+const PERMISSION_LABELS = {
+	control: "take control",
+	force: "take control by force",
+	camera: "start or stop cameras",
+	capture: "capture images",
+	gcs: "connect or disconnect the GCS",
+	serial: "change the serial port or baudrate",
+	waypoints: "upload waypoints",
+	command: "send this command",
+	audit: "clear the audit log",
+};
+
+const userRole = (user) => (user && ROLES.includes(user.role) ? user.role : "viewer");
+
+const roleAllows = (role, permission) => {
+	const granted = ROLE_PERMISSIONS[role] || [];
+	return granted.includes("*") || granted.includes(permission);
+};
+
+// Permissions a `POST /context` payload needs; fields the dashboard does not
+// know about need "command", which only admins have
+const commandPermissions = (payload) => {
+	const needed = new Set();
+	Object.keys(payload).forEach((key) => {
+		if (key === "app_connect") needed.add("gcs");
+		else if (key === "port" || key === "baudrate") needed.add("serial");
+		else if (/^(surface|underwater)_camera_connect$/.test(key)) needed.add("camera");
+		else if (/^(surface|underwater)_camera_waypoints$/.test(key)) needed.add("waypoints");
+		else needed.add("command");
+	});
+	return [...needed];
+};
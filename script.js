@@ -1,16 +1,156 @@
 const x_data = () => {
 	return {
+		currentScreen: "menu",
+		currentMode: "monitoring",
+		loginUsername: "",
+		loginPassword: "",
+		loginBusy: false,
+		auth: null,
+		authUser: null,
+		controlLease: null,
+		lease: {
+			holder: null,
+			request: null,
+			yours: false,
+			requested: false,
+		},
+		auditLog: null,
+		auditEntries: [],
+		auditTotal: 0,
 		ipAddress: "http://localhost:5001",
+		ipAddressInput: "http://localhost:5001", // applied to ipAddress by applyAddress()
 		port: "COM7",
 		baudrate: "9600",
+		isConnecting: false,
 		realtimeData: true,
+		telemetry: null,
+		telemetryStatus: "idle",
+		linkHealth: null,
+		link: {
+			state: "unreachable",
+			stale: true,
+			staleSeconds: null,
+		},
+		recorder: null,
+		recordingSessionId: null,
+		sessions: [],
+		editingSessionId: null,
+		editingSessionName: "",
+		alarmEngine: null,
+		alarmRules: [],
+		alarms: [],
+		showAlarmSettings: false,
+		gpsView: null,
+		missionEditor: null,
+		progressTracker: null,
+		progress: null,
+		surveyPlanner: null,
+		survey: {
+			editing: false,
+			areaPoints: 0,
+			range: 3, // meters from camera to seabed
+			fov: 60,
+			overlap: 20, // percent
+			heading: 0,
+			turn: "right",
+			depth: 5,
+			speed: 1,
+			waypoints: [],
+			lines: 0,
+			length: 0,
+			duration: null,
+			error: "",
+		},
+		gpsTracker: {
+			isTracking: false,
+			pointCount: 0,
+			totalDistance: 0,
+		},
+		mission: {
+			editing: false,
+			target: "surface",
+			lastSynced: null,
+			textErrors: 0,
+		},
+		player: null,
+		replay: {
+			active: false,
+			sessionId: null,
+			playing: false,
+			speed: 1,
+			position: 0,
+			duration: 0,
+			liveImages: null,
+		},
+		liveData: null,
+		gallery: null,
+		galleryItems: [],
+		galleryTotal: 0,
+		galleryFilter: {
+			camera: "",
+			from: "",
+			to: "",
+		},
+		galleryViewer: null,
+		gallerySelection: [],
+		galleryExporting: false,
+		annotator: null,
+		annotation: {
+			active: false,
+			tool: "box",
+			label: "",
+			classes: [],
+			newClass: "",
+			items: [],
+			selected: null,
+		},
+		captureTrigger: null,
+		capturePlans: {},
+		captureLog: [],
+		captureBusy: {
+			surface: false,
+			underwater: false,
+		},
+		streamMonitors: null,
+		streamHealth: {
+			surface: { state: "idle", reason: "", fps: 0, frameAge: null, restarts: 0, nextRestartIn: null },
+			underwater: { state: "idle", reason: "", fps: 0, frameAge: null, restarts: 0, nextRestartIn: null },
+		},
+		streamAutoRestart: true,
+		cameraRecorders: null,
+		videoRecording: {
+			surface: { active: false, overlay: true, elapsed: "00:00" },
+			underwater: { active: false, overlay: true, elapsed: "00:00" },
+		},
+		videoRecordings: [],
+		cameraHuds: null,
+		enhanceSettings: {},
+		enhanceLive: {
+			surface: false,
+			underwater: false,
+		},
+		enhanceBusy: {
+			surface: false,
+			underwater: false,
+		},
+		enhancement: {
+			underwater: { active: false, url: "", split: 50, busy: false },
+			viewer: { active: false, url: "", split: 50, busy: false },
+		},
+		showEnhanceSettings: false,
+		hud: {
+			surface: false,
+			underwater: false,
+		},
 		currentDate: moment().format("YYYY-MM-DD"),
 		currentTime: moment().format("HH:mm:ss"),
 
 		surfaceCamera: {
 			streamUrl: "",
+			frameUrl: "",
 			waypointsText: "",
 			waypoints: [],
+			waypointErrors: [],
 			image: "",
 			refreshImage: 0,
 			refreshStream: 0,
@@ -18,8 +158,10 @@ const x_data = () => {
 
 		underwaterCamera: {
 			streamUrl: "",
+			frameUrl: "",
 			waypointsText: "",
 			waypoints: [],
+			waypointErrors: [],
 			image: "",
 			refreshImage: 0,
 			refreshStream: 0,
@@ -45,36 +187,1169 @@ const x_data = () => {
 		},
 
 		async init() {
-			setInterval(async () => {
-				if (this.realtimeData) {
-					const response = await axios.get(`${this.ipAddress}/context`);
-					this.vehicleData = response.data.data;
+			this.auth = createAuthSession({ baseUrl: this.ipAddress });
+			this.auth.install(axios);
+			this.auth.subscribe("change", (user) => {
+				this.authUser = user;
+			});
+			this.auth.subscribe("expired", ({ reason, user }) => this.endControl(reason, user));
+			const authFetch = (url, init) => this.auth.fetch(url, init);
+			if (this.auth.active) {
+				// Reloaded with a live session
+				this.authUser = this.auth.user;
+				this.currentMode = "control";
+				this.currentScreen = "dashboard";
+			}
+
+			this.auditLog = createAuditLog();
+			this.auditLog.subscribe("entry", (entry) => {
+				this.auditEntries = [entry, ...this.auditEntries].slice(0, 200);
+				this.auditTotal += 1;
+			});
+			this.loadAudit().catch((error) => console.error("Audit log unavailable:", error));
+
+			this.controlLease = createControlLease({ baseUrl: this.ipAddress, fetch: authFetch });
+			this.controlLease.subscribe("change", (lease) => {
+				this.lease = lease;
+			});
+			this.controlLease.subscribe("lost", ({ holder }) => {
+				if (this.currentMode !== "control") return;
+				const message = holder ? `Control was taken over by ${holder.username}` : "Control lease lost";
+				this.audit({ action: "controlLost", outcome: "error", error: message });
+				toastr.warning(`${message}, you are read-only now`, "Control");
+			});
+			this.controlLease.subscribe("requested", (request) =>
+				toastr.info(`${request.username} asks for control`, "Control")
+			);
+			this.controlLease.subscribe("declined", ({ holder }) =>
+				toastr.warning(`${holder ? holder.username : "The holder"} kept control`, "Control")
+			);
+			this.controlLease.start();
+
+			this.linkHealth = createLinkHealthMonitor();
+			this.alarmEngine = createAlarmEngine();
+			this.alarmRules = loadAlarmRules();
+			this.alarmEngine.setRules(this.alarmRules).forEach(({ rule, error }) =>
+				toastr.error(`Alarm rule "${rule.expression}" not loaded: ${error.message}`, "Alarms")
+			);
+			this.alarmEngine.subscribe("change", (alarms) => {
+				this.alarms = alarms;
+			});
+			this.alarmEngine.subscribe("raise", (alarm) => this.notifyAlarm(alarm));
+
+			this.gpsView = createTrajectoryView(document.getElementById("gpsCanvas"));
+			this.missionEditor = createMissionEditor(this.gpsView, {
+				canEdit: () => this.mission.textErrors === 0,
+				onChange: (waypoints, edit) => this.syncMissionText(waypoints, edit),
+				onNeedOrigin: () =>
+					toastr.warning("Waiting for a GPS fix to place waypoints", "Mission"),
+				onLocked: () =>
+					toastr.warning(
+						`Fix the ${this.mission.textErrors} invalid line(s) in the waypoint list before editing on the map`,
+						"Mission"
+					),
+			});
+			this.surveyPlanner = createSurveyPlanner(this.gpsView, {
+				onChange: (area) => {
+					this.survey.areaPoints = area.length;
+					this.generateSurvey();
+				},
+				onNeedOrigin: () =>
+					toastr.warning("Waiting for a GPS fix to draw the survey area", "Survey"),
+			});
+			this.progressTracker = createMissionProgress();
+			this.gpsView.addLayer((ctx, view) => this.drawMissionProgress(ctx, view), { under: true });
+			this.gpsView.draw();
+			this.$watch("surfaceCamera.waypointsText", () => this.loadMissionText("surface"));
+			this.$watch("underwaterCamera.waypointsText", () => this.loadMissionText("underwater"));
+
+			this.gallery = createCaptureGallery();
+			this.annotation.classes = loadAnnotationClasses();
+			this.annotation.label = this.annotation.classes[0];
+			this.$watch("annotation.label", (label) => this.annotator && this.annotator.setLabel(label));
+			this.loadGallery().catch((error) => console.error("Capture gallery unavailable:", error));
+
+			this.captureTrigger = createCaptureTrigger();
+			const plans = loadCapturePlans();
+			Object.keys(plans).forEach((camera) => this.captureTrigger.configure(camera, plans[camera]));
+			this.capturePlans = this.captureTrigger.plans;
+			this.captureTrigger.subscribe("trigger", (trigger) => this.autoCapture(trigger));
+
+			this.streamMonitors = {
+				surface: createStreamMonitor({ fetch: authFetch }),
+				underwater: createStreamMonitor({ fetch: authFetch }),
+			};
+			Object.entries(this.streamMonitors).forEach(([camera, monitor]) => {
+				const target = camera === "surface" ? this.surfaceCamera : this.underwaterCamera;
+				monitor.subscribe("frame", async ({ blob }) => {
+					const frame = this.enhanceLive[camera] ? await this.enhanceFrame(camera, blob) : blob;
+					if (!frame || !target.streamUrl) return;
+					// The <img> may still be decoding the previous frame
+					const previous = target.frameUrl;
+					target.frameUrl = URL.createObjectURL(frame);
+					if (previous) setTimeout(() => URL.revokeObjectURL(previous), 1000);
+				});
+				monitor.subscribe("state", (health) => this.noteStreamHealth(camera, health));
+				monitor.subscribe("restart", () => this.restartStream(camera));
+				this.$watch(`${camera}Camera.streamUrl`, (url) => {
+					if (url) {
+						monitor.open(url);
+					} else {
+						monitor.close();
+						this.stopVideoRecording(camera);
+					}
+				});
+			});
+			this.cameraRecorders = {
+				surface: createCameraRecorder(),
+				underwater: createCameraRecorder(),
+			};
+			this.enhanceSettings = loadEnhanceSettings();
+			this.$watch("enhanceSettings", (settings) => {
+				saveEnhanceSettings(settings);
+				this.refreshEnhancement("underwater");
+				this.refreshEnhancement("viewer");
+			});
+			this.$watch("underwaterCamera.image", () => this.refreshEnhancement("underwater"));
+			this.hud = loadHudSettings();
+			this.cameraHuds = {
+				surface: createCameraHud(this.$refs.surfaceHud),
+				underwater: createCameraHud(this.$refs.underwaterHud),
+			};
+			this.$watch("vehicleData", () => this.drawHuds());
+			this.$nextTick(() => this.drawHuds());
+
+			this.telemetry = createTelemetryClient({
+				baseUrl: this.ipAddress,
+				pollPath: "/context",
+				pollInterval: 2000,
+				fetch: authFetch,
+			});
+			this.recorder = createSessionRecorder({
+				source: "dashboard",
+				onDropped: ({ error, events }) => {
+					toastr.error(`${events} recorded events could not be saved: ${error.message}`, "Session Recording");
+				},
+			});
+			try {
+				const session = await this.recorder.start();
+				this.recordingSessionId = session.id;
+				await this.loadSessions();
+			} catch (error) {
+				console.error("Session recording unavailable:", error);
+			}
+
+			this.player = createReplayPlayer();
+			// A seek replays everything up to the new position at once, so the
+			// map is drawn when it is done rather than for every event
+			let seeked = false;
+			this.player.subscribe("telemetry", (data, { seeking }) => {
+				this.vehicleData = data;
+				this.updateProgress(data, !seeking);
+				this.trackPosition(data, !seeking);
+				seeked = seeked || seeking;
+			});
+			this.player.subscribe("capture", (capture) => this.showReplayCapture(capture));
+			this.player.subscribe("reset", () => {
+				this.progressTracker.reset();
+				this.progress = null;
+				this.resetGPSPath();
+				this.showReplayCapture({ camera: "surface", url: "" });
+				this.showReplayCapture({ camera: "underwater", url: "" });
+			});
+			this.player.subscribe("state", ({ playing, speed, position, duration }) => {
+				Object.assign(this.replay, { playing, speed, position, duration });
+				if (seeked) this.gpsView.draw();
+				seeked = false;
+			});
+
+			this.telemetry.subscribe("data", (data) => {
+				this.liveData = data;
+				this.recorder.record("telemetry", data);
+				this.linkHealth.noteFrame(data);
+				this.alarmEngine.evaluate(data);
+				this.captureTrigger.update(data);
+				if (this.realtimeData && !this.replay.active) {
+					this.vehicleData = data;
+					this.updateProgress(data);
+					if (this.gpsTracker.isTracking) {
+						this.trackPosition(data);
+					}
 				}
-			}, 2000);
+			});
+			this.telemetry.subscribe("status", ({ status }) => {
+				this.telemetryStatus = status;
+				this.linkHealth.noteTransport(status);
+			});
+			this.telemetry.connect();
+			this.$watch("ipAddress", (value) => {
+				this.telemetry.setBaseUrl(value);
+				// The lease goes first, its release still needs the old token
+				this.controlLease.setBaseUrl(value);
+				this.auth.setBaseUrl(value);
+			});
+
 			setInterval(() => {
 				this.currentDate = moment().format("YYYY-MM-DD");
 				this.currentTime = moment().format("HH:mm:ss");
+				this.link = this.linkHealth.evaluate();
+				this.captureTrigger.tick();
+				this.streamHealth = {
+					surface: this.streamMonitors.surface.health,
+					underwater: this.streamMonitors.underwater.health,
+				};
+				this.drawHuds();
+				Object.entries(this.cameraRecorders).forEach(([camera, recorder]) => {
+					if (recorder.recording) {
+						this.videoRecording[camera].elapsed = formatVideoDuration(Date.now() - recorder.startedAt);
+					}
+				});
 			}, 1000);
 		},
 
+		isStale(field) {
+			if (this.replay.active) return false;
+			return this.link.stale && this.linkHealth.isStale(field);
+		},
+
+		linkLabel() {
+			const labels = {
+				[LINK_STATES.HEALTHY]: "HEALTHY",
+				[LINK_STATES.VEHICLE_SILENT]: "GCS UP / VEHICLE SILENT",
+				[LINK_STATES.UNREACHABLE]: "GCS UNREACHABLE",
+			};
+			return labels[this.link.state];
+		},
+
+		selectMonitoring() {
+			this.currentMode = "monitoring";
+			this.currentScreen = "dashboard";
+			toastr.info("Monitoring mode activated");
+		},
+
+		showLogin() {
+			this.currentScreen = "login";
+			this.loginUsername = "";
+			this.loginPassword = "";
+		},
+
+		backToMenu() {
+			this.currentScreen = "menu";
+		},
+
+		// Switches the GCS server. The lease and the session belong to the old
+		// server, so they are released and logged out there before the address
+		// changes.
+		async applyAddress() {
+			const address = this.ipAddressInput.trim().replace(/\/+$/, "");
+			if (address === this.ipAddress) {
+				this.ipAddressInput = address;
+				return;
+			}
+			if (!/^https?:\/\/\S+$/.test(address)) {
+				toastr.error("Enter the GCS address as http://host:port", "Error");
+				return;
+			}
+			if (this.lease.yours) {
+				await this.leaseAction("releaseControl", () => this.controlLease.release(), null);
+			}
+			if (this.auth.active) {
+				this.audit({ action: "logout", source: "address change", payload: { from: this.ipAddress, to: address }, outcome: "ok" });
+				await this.auth.logout();
+				if (this.currentMode === "control") {
+					this.currentMode = "monitoring";
+					toastr.info(`Logged out of ${this.ipAddress}, log in again for control on ${address}`, "Login");
+				}
+			}
+			this.ipAddress = address;
+			this.ipAddressInput = address;
+		},
+
+		async login() {
+			if (this.loginBusy) return;
+			this.loginBusy = true;
+			try {
+				const user = await this.auth.login(this.loginUsername, this.loginPassword);
+				this.audit({ action: "login", payload: { username: user.username }, outcome: "ok" });
+				this.currentMode = "control";
+				this.currentScreen = "dashboard";
+				toastr.success(`Logged in as ${user.username} (${userRole(user)}), control mode activated`, "Login");
+				// A free lease is taken right away, a held one has to be requested
+				if (this.can("control") && !this.lease.holder) {
+					await this.controlLease
+						.acquire()
+						.then((lease) => this.audit({ action: "takeControl", source: "auto (login)", outcome: "ok", response: lease }))
+						.catch(() => this.controlLease.refresh());
+				}
+			} catch (error) {
+				this.audit({ action: "login", payload: { username: this.loginUsername }, outcome: "error", error: error.message });
+				toastr.error(error.message, "Login");
+			} finally {
+				this.loginPassword = "";
+				this.loginBusy = false;
+			}
+		},
+
+		async logout() {
+			if (this.authUser) this.audit({ action: "logout", outcome: "ok" });
+			if (this.lease.yours) await this.controlLease.release().catch(() => {});
+			await this.auth.logout();
+			this.controlLease.refresh();
+			this.currentScreen = "menu";
+			this.currentMode = "monitoring";
+			this.loginUsername = "";
+			this.loginPassword = "";
+			toastr.info("Logged out successfully");
+		},
+
+		can(permission) {
+			if (this.currentMode !== "control" || !roleAllows(userRole(this.authUser), permission)) return false;
+			return this.lease.yours || !LEASED_PERMISSIONS.includes(permission);
+		},
+
+		// Guard for control actions. Refusals of what the user clicked are shown
+		// and audited, automatic ones (`source` other than "user") stay quiet.
+		allow(permission, action, source = "user") {
+			if (this.can(permission)) return true;
+			if (source === "user") {
+				const who = this.currentMode === "control" ? `The ${userRole(this.authUser)} role` : "Monitoring mode";
+				let message = `${who} may not ${PERMISSION_LABELS[permission]}`;
+				if (this.currentMode === "control" && roleAllows(userRole(this.authUser), permission)) {
+					message = this.lease.holder ? `Control is held by ${this.lease.holder.username}` : "Take control first";
+				}
+				toastr.error(message, "Not allowed");
+				this.audit({ action, source, outcome: "refused", error: message });
+			}
+			return false;
+		},
+
+		leaseLabel() {
+			if (this.lease.yours) return "YOU HAVE CONTROL";
+			return this.lease.holder ? `CONTROL: ${this.lease.holder.username}` : "CONTROL: FREE";
+		},
+
+		async leaseAction(action, run, done) {
+			try {
+				const lease = await run();
+				this.audit({ action, outcome: "ok", response: lease });
+				if (done) toastr.success(done, "Control");
+				return true;
+			} catch (error) {
+				this.audit({ action, outcome: "error", status: error.status ?? null, error: error.message });
+				toastr.error(error.message, "Control");
+				return false;
+			}
+		},
+
+		takeControl() {
+			if (!this.allow("control", "takeControl")) return;
+			this.leaseAction("takeControl", () => this.controlLease.acquire(), "You have control");
+		},
+
+		requestControl() {
+			if (!this.allow("control", "requestControl")) return;
+			const holder = this.lease.holder ? this.lease.holder.username : "the holder";
+			this.leaseAction("requestControl", () => this.controlLease.request(), `Control requested from ${holder}`);
+		},
+
+		answerControlRequest(accept) {
+			const requester = this.lease.request ? this.lease.request.username : "";
+			this.leaseAction(
+				accept ? "handOverControl" : "declineControlRequest",
+				() => this.controlLease.handover(accept),
+				accept ? `Control handed over to ${requester}` : null
+			);
+		},
+
+		forceControl() {
+			if (!this.allow("force", "forceControl")) return;
+			const holder = this.lease.holder ? this.lease.holder.username : "nobody";
+			if (!confirm(`Take control away from ${holder}? Their commands will be refused from now on.`)) return;
+			this.leaseAction("forceControl", () => this.controlLease.force(), "You have control");
+		},
+
+		releaseControl() {
+			this.leaseAction("releaseControl", () => this.controlLease.release(), "Control released");
+		},
+
+		modeLabel() {
+			if (this.currentMode !== "control") return "MONITORING MODE";
+			return this.authUser
+				? `CONTROL MODE \u00b7 ${this.authUser.username} (${userRole(this.authUser)})`
+				: "CONTROL MODE";
+		},
+
+		// The token expired or the server refused it; the dashboard stays open
+		endControl(reason, user) {
+			this.audit({ user: user.username, role: userRole(user), action: "sessionEnded", outcome: "error", error: reason });
+			this.controlLease.refresh();
+			if (this.currentMode !== "control") return;
+			this.currentMode = "monitoring";
+			toastr.warning(`${reason}, switched to monitoring mode. Log in again for control.`, "Login");
+		},
+
+		async loadAudit() {
+			const entries = await this.auditLog.list();
+			this.auditTotal = entries.length;
+			this.auditEntries = entries.slice(0, 200);
+		},
+
+		async exportAudit(format) {
+			try {
+				const entries = await this.auditLog.list();
+				const text = format === "csv" ? auditToCsv(entries) : auditToJsonl(entries);
+				const blob = new Blob([text], { type: format === "csv" ? "text/csv" : "application/x-ndjson" });
+				const link = document.createElement("a");
+				link.href = URL.createObjectURL(blob);
+				link.download = `audit_${moment().format("YYYYMMDD_HHmmss")}.${format}`;
+				link.click();
+				setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+			} catch (error) {
+				toastr.error(`Audit export failed: ${error.message}`, "Audit");
+			}
+		},
+
+		// Admins only, and the clearing itself is the first entry of the new log
+		async clearAudit() {
+			if (!this.allow("audit", "clearAudit")) return;
+			if (!confirm(`Delete all ${this.auditTotal} audit entries?`)) return;
+			await this.auditLog.clear();
+			this.auditEntries = [];
+			this.auditTotal = 0;
+			this.audit({ action: "clearAudit", outcome: "ok" });
+		},
+
+		// The table cell; exports carry the full payload and response
+		auditDetail(entry) {
+			if (entry.error) return entry.error;
+			const text = entry.payload === null ? "" : JSON.stringify(entry.payload);
+			return text.length > 200 ? `${text.slice(0, 200)}\u2026` : text;
+		},
+
+		audit(entry) {
+			const user = this.authUser;
+			this.auditLog
+				.add({ user: user ? user.username : "", role: user ? userRole(user) : "", ...entry })
+				.catch((error) => console.error("Audit log write failed:", error));
+		},
+
+		// Runs `request` and audits it with the server's answer or the error
+		async audited(action, payload, source, request) {
+			try {
+				const response = await request();
+				this.audit({ action, source, payload, outcome: "ok", status: response.status, response: response.data });
+				return response;
+			} catch (error) {
+				const answer = error.response || {};
+				this.audit({
+					action,
+					source,
+					payload,
+					outcome: "error",
+					status: answer.status ?? null,
+					response: answer.data ?? null,
+					error: error.message,
+				});
+				throw error;
+			}
+		},
+
+		async sendCommand(payload, action = "command", source = "user") {
+			const command = JSON.parse(JSON.stringify(payload));
+			const refused = commandPermissions(payload).find((permission) => !this.can(permission));
+			if (refused) {
+				const error = new Error(`Not allowed to ${PERMISSION_LABELS[refused]}`);
+				this.recorder.record("command", { payload: command, ok: false, error: error.message });
+				this.audit({ action, source, payload: command, outcome: "refused", error: error.message });
+				throw error;
+			}
+			try {
+				const response = await this.audited(action, command, source, () =>
+					axios.post(`${this.ipAddress}/context`, payload)
+				);
+				this.recorder.record("command", { payload: command, ok: true });
+				return response;
+			} catch (error) {
+				this.recorder.record("command", { payload: command, ok: false, error: error.message });
+				throw error;
+			}
+		},
+
+		// `telemetry` is the snapshot taken when the capture was requested
+		async recordCapture(camera, imageUrl, trigger = null, telemetry = {}) {
+			const capture = { camera, url: imageUrl };
+			if (trigger) capture.trigger = { reason: trigger.reason, detail: trigger.detail };
+			let blob = null;
+			try {
+				const response = await this.auth.fetch(imageUrl);
+				if (!response.ok) throw new Error(`HTTP ${response.status}`);
+				const type = response.headers.get("Content-Type") || "";
+				if (!type.startsWith("image/")) throw new Error(`got ${type || "no content type"} instead of an image`);
+				blob = await response.blob();
+			} catch (error) {
+				// An error page must not end up in the gallery as an image
+				blob = null;
+				toastr.warning(`The ${camera} capture was not saved to the gallery: ${error.message}`, "Gallery");
+			}
+			this.recorder.record("capture", blob ? { ...capture, blob } : capture);
+			if (!blob) return;
+
+			try {
+				await this.gallery.add({ ...capture, blob, telemetry, sessionId: this.recordingSessionId });
+				await this.loadGallery();
+			} catch (error) {
+				console.error("Gallery save failed:", error);
+			}
+		},
+
+		async loadGallery() {
+			const { camera, from, to } = this.galleryFilter;
+			const records = await this.gallery.list({
+				camera: camera || null,
+				from: from ? new Date(from).getTime() : null,
+				to: to ? new Date(to).getTime() : null,
+			});
+			this.galleryItems.forEach((item) => URL.revokeObjectURL(item.thumbUrl));
+			this.galleryTotal = records.length;
+			// Only the newest page gets object URLs; older ones stay in IndexedDB
+			this.galleryItems = records.slice(0, 200).map(({ blob, thumb, ...item }) => ({
+				...item,
+				thumbUrl: URL.createObjectURL(thumb || blob),
+			}));
+		},
+
+		resetGalleryFilter() {
+			this.galleryFilter = { camera: "", from: "", to: "" };
+			this.loadGallery();
+		},
+
+		async openCapture(item) {
+			const record = await this.gallery.get(item.id);
+			if (!record) return;
+			const annotating = this.annotation.active;
+			const enhancing = this.enhancement.viewer.active;
+			this.closeCapture();
+			this.galleryViewer = {
+				...item,
+				annotations: record.annotations || [],
+				fullUrl: URL.createObjectURL(record.blob),
+			};
+			if (annotating) this.startAnnotating();
+			if (enhancing) this.toggleEnhancement("viewer");
+		},
+
+		closeCapture() {
+			this.stopAnnotating();
+			if (this.enhancement.viewer.active) this.toggleEnhancement("viewer");
+			if (this.galleryViewer) URL.revokeObjectURL(this.galleryViewer.fullUrl);
+			this.galleryViewer = null;
+		},
+
+		stepCapture(step) {
+			const index = this.galleryItems.findIndex((item) => item.id === this.galleryViewer.id);
+			const next = this.galleryItems[index + step];
+			if (next) this.openCapture(next);
+		},
+
+		toggleCaptureSelection(item) {
+			this.gallerySelection = this.gallerySelection.includes(item.id)
+				? this.gallerySelection.filter((id) => id !== item.id)
+				: [...this.gallerySelection, item.id];
+		},
+
+		selectAllCaptures() {
+			this.gallerySelection = this.galleryItems.map((item) => item.id);
+		},
+
+		async exportGallery() {
+			if (this.gallerySelection.length === 0) return;
+			this.galleryExporting = true;
+			try {
+				const records = (await Promise.all(this.gallerySelection.map((id) => this.gallery.get(id)))).filter(Boolean);
+				const { blob, warnings } = await exportCapturesZip(records);
+				const link = document.createElement("a");
+				link.href = URL.createObjectURL(blob);
+				link.download = `captures-${moment().format("YYYYMMDD-HHmmss")}.zip`;
+				link.click();
+				setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+				toastr.success(
+					`${records.length} capture(s) exported` + (warnings.length ? `, ${warnings.length} without geotag` : ""),
+					"Gallery"
+				);
+				this.notifyWarnings("Gallery export", warnings);
+			} catch (error) {
+				toastr.error(error.message, "Export failed");
+			} finally {
+				this.galleryExporting = false;
+			}
+		},
+
+		startAnnotating() {
+			this.annotation.active = true;
+			this.annotation.selected = null;
+			this.annotation.items = this.galleryViewer.annotations.map((item) => ({ ...item }));
+			this.$nextTick(() => {
+				const image = this.$refs.viewerImage;
+				this.annotator = createAnnotator(this.$refs.annotationCanvas, image, {
+					onChange: (list) => this.saveAnnotations(list),
+					onSelect: (id) => (this.annotation.selected = id),
+				});
+				this.annotator.setClasses(this.annotation.classes);
+				this.annotator.setLabel(this.annotation.label);
+				this.annotator.setTool(this.annotation.tool);
+				const annotations = JSON.parse(JSON.stringify(this.galleryViewer.annotations));
+				const ready = () => this.annotator && this.annotator.setAnnotations(annotations);
+				if (image.complete && image.naturalWidth) ready();
+				else image.addEventListener("load", ready, { once: true });
+			});
+		},
+
+		stopAnnotating() {
+			if (this.annotator) this.annotator.destroy();
+			this.annotator = null;
+			this.annotation.active = false;
+		},
+
+		// Every edit is written straight to the capture record
+		async saveAnnotations(list) {
+			const viewer = this.galleryViewer;
+			const image = this.$refs.viewerImage;
+			this.annotation.items = list;
+			viewer.annotations = list;
+			const item = this.galleryItems.find((entry) => entry.id === viewer.id);
+			if (item) item.annotations = list;
+			try {
+				const size = image.naturalWidth ? { width: image.naturalWidth, height: image.naturalHeight } : {};
+				await this.gallery.update(viewer.id, { annotations: list, ...size });
+			} catch (error) {
+				toastr.error(`Annotations not saved: ${error.message}`, "Gallery");
+			}
+		},
+
+		setAnnotationTool(tool) {
+			this.annotation.tool = tool;
+			this.annotator.setTool(tool);
+		},
+
+		selectAnnotation(id) {
+			this.annotation.selected = id;
+			this.annotator.select(id);
+		},
+
+		updateAnnotation(id, changes) {
+			this.annotator.update(id, changes);
+		},
+
+		removeAnnotation(id) {
+			this.annotator.remove(id);
+		},
+
+		addAnnotationClass() {
+			const name = this.annotation.newClass.trim().replace(/\s+/g, "_");
+			if (!name) return;
+			if (!this.annotation.classes.includes(name)) {
+				this.annotation.classes = [...this.annotation.classes, name];
+				saveAnnotationClasses(this.annotation.classes);
+				if (this.annotator) this.annotator.setClasses(this.annotation.classes);
+			}
+			this.annotation.label = name;
+			this.annotation.newClass = "";
+		},
+
+		async exportDataset() {
+			if (this.gallerySelection.length === 0) return;
+			this.galleryExporting = true;
+			try {
+				const records = (await Promise.all(this.gallerySelection.map((id) => this.gallery.get(id)))).filter(Boolean);
+				const { blob, warnings, images } = await exportAnnotationsZip(records, this.annotation.classes);
+				const link = document.createElement("a");
+				link.href = URL.createObjectURL(blob);
+				link.download = `dataset-${moment().format("YYYYMMDD-HHmmss")}.zip`;
+				link.click();
+				setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+				const labelled = records.filter((record) => (record.annotations || []).some((a) => a.label)).length;
+				toastr.success(
+					`${images} image(s), ${labelled} annotated, exported as COCO and YOLO` +
+						(images < records.length ? `, ${records.length - images} skipped` : ""),
+					"Gallery"
+				);
+				this.notifyWarnings("Dataset export", warnings);
+			} catch (error) {
+				toastr.error(error.message, "Export failed");
+			} finally {
+				this.galleryExporting = false;
+			}
+		},
+
+		async deleteCapture(item) {
+			if (!confirm("Delete this capture?")) return;
+			await this.gallery.remove(item.id);
+			this.gallerySelection = this.gallerySelection.filter((id) => id !== item.id);
+			if (this.galleryViewer && this.galleryViewer.id === item.id) this.closeCapture();
+			await this.loadGallery();
+		},
+
+		saveCapturePlan(camera) {
+			const plan = this.capturePlans[camera];
+			this.captureTrigger.configure(camera, {
+				onWaypoint: Boolean(plan.onWaypoint),
+				distance: plan.distance,
+				interval: plan.interval,
+			});
+			this.capturePlans = this.captureTrigger.plans;
+			saveCapturePlans(this.capturePlans);
+		},
+
+		toggleCaptureArm(camera) {
+			if (!this.capturePlans[camera].armed && !this.allow("capture", "toggleCaptureArm")) return;
+			this.saveCapturePlan(camera);
+			if (this.capturePlans[camera].armed) {
+				this.captureTrigger.disarm(camera);
+			} else {
+				this.captureTrigger.arm(camera);
+			}
+			this.capturePlans = this.captureTrigger.plans;
+			const plan = this.capturePlans[camera];
+			this.audit({ action: "toggleCaptureArm", payload: { camera, ...plan }, outcome: "ok" });
+			const label = camera === "surface" ? "Surface" : "Underwater";
+			toastr.info(`${label} auto capture ${this.capturePlans[camera].armed ? "armed" : "disarmed"}`, "Auto Capture");
+		},
+
+		async autoCapture(trigger) {
+			const entry = { id: `${trigger.t}-${trigger.camera}-${trigger.reason}`, ...trigger, status: "skipped" };
+			this.captureLog = [entry, ...this.captureLog].slice(0, 200);
+			// A capture still in flight wins; the next trigger will catch up
+			if (this.captureBusy[trigger.camera]) return;
+
+			this.captureBusy[trigger.camera] = true;
+			const ok =
+				trigger.camera === "surface"
+					? await this.captureSurfaceImage(trigger)
+					: await this.captureUnderwaterImage(trigger);
+			this.captureBusy[trigger.camera] = false;
+			const logged = this.captureLog.find((item) => item.id === entry.id);
+			if (logged) logged.status = ok ? "ok" : "failed";
+		},
+
+		async loadSessions() {
+			this.sessions = await this.recorder.listSessions();
+		},
+
+		editSession(session) {
+			this.editingSessionId = session.id;
+			this.editingSessionName = session.name;
+		},
+
+		async renameSession() {
+			const name = this.editingSessionName.trim();
+			if (name === "") {
+				toastr.error("Session name cannot be empty", "Error");
+				return;
+			}
+			try {
+				await this.recorder.renameSession(this.editingSessionId, name);
+				this.editingSessionId = null;
+				await this.loadSessions();
+			} catch (error) {
+				toastr.error("Failed to rename session", "Error");
+			}
+		},
+
+		async deleteSession(session) {
+			if (!confirm(`Delete session "${session.name}"?`)) return;
+			try {
+				await this.recorder.deleteSession(session.id);
+				await this.loadSessions();
+				toastr.success("Session deleted", "Success");
+			} catch (error) {
+				toastr.error(error.message || "Failed to delete session", "Error");
+			}
+		},
+
+		async downloadSession(session) {
+			try {
+				await this.recorder.downloadSession(session.id);
+			} catch (error) {
+				toastr.error("Failed to download session", "Error");
+			}
+		},
+
+		// Lists import/export warnings in a toast that stays until closed
+		notifyWarnings(title, warnings, limit = 10) {
+			if (warnings.length === 0) return;
+			const escape = (text) =>
+				String(text).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char]);
+			const items = warnings.slice(0, limit).map((warning) => `<li>${escape(warning)}</li>`);
+			if (warnings.length > limit) items.push(`<li>\u2026and ${warnings.length - limit} more</li>`);
+			toastr.warning(`<ul class="mb-0 ps-3">${items.join("")}</ul>`, escape(title), {
+				timeOut: 0,
+				extendedTimeOut: 0,
+				closeButton: true,
+			});
+		},
+
+		notifyAlarm(alarm) {
+			const message = `${alarm.expression} (value: ${alarm.value})`;
+			if (alarm.severity === "critical") {
+				toastr.error(message, "CRITICAL ALARM", { timeOut: 0, extendedTimeOut: 0 });
+			} else if (alarm.severity === "warning") {
+				toastr.warning(message, "Alarm");
+			} else {
+				toastr.info(message, "Alarm");
+			}
+		},
+
+		addAlarmRule() {
+			this.alarmRules.push({
+				id: `rule-${Date.now()}`,
+				expression: "",
+				severity: "warning",
+				hysteresis: 0,
+				enabled: true,
+			});
+		},
+
+		removeAlarmRule(index) {
+			this.alarmRules.splice(index, 1);
+		},
+
+		saveAlarmSettings() {
+			const rules = this.alarmRules.map((rule) => ({
+				...rule,
+				expression: rule.expression.trim(),
+				hysteresis: Number(rule.hysteresis) || 0,
+			}));
+			for (const rule of rules) {
+				try {
+					parseAlarmRule(rule.expression);
+				} catch (error) {
+					toastr.error(error.message, "Invalid alarm rule");
+					return;
+				}
+			}
+			this.alarmEngine.setRules(rules);
+			saveAlarmRules(rules);
+			this.alarmRules = rules;
+			toastr.success("Alarm rules saved", "Success");
+		},
+
+		resetAlarmRules() {
+			this.alarmRules = DEFAULT_ALARM_RULES.map((rule) => ({ ...rule }));
+		},
+
+		acknowledgeAlarm(alarm) {
+			this.alarmEngine.acknowledge(alarm.ruleId);
+		},
+
+		acknowledgeAllAlarms() {
+			this.alarmEngine.acknowledgeAll();
+		},
+
+		trackPosition(data, render = true) {
+			if (!data.lat || !data.long) return;
+			this.gpsTracker.totalDistance += this.gpsView.addPosition(data.lat, data.long);
+			this.gpsTracker.pointCount = this.gpsView.trail.length;
+			this.gpsView.setVehicle(data.yaw, data.app_connect);
+			if (render) this.gpsView.draw();
+		},
+
+		updateProgress(data, render = true) {
+			const previous = this.progress;
+			this.progress = this.progressTracker.update(data);
+			const index = this.progress ? this.progress.index : null;
+			if (render && !this.gpsTracker.isTracking && (previous ? previous.index : null) !== index) this.gpsView.draw();
+		},
+
+		// Saved mission under the trail, with the leg being flown highlighted
+		drawMissionProgress(ctx, view) {
+			const waypoints = this.progressTracker.waypoints;
+			if (!view.origin || waypoints.length === 0) return;
+			const screen = (p) => {
+				const xy = view.toXY(p.lat, p.lon);
+				return view.worldToScreen(xy.x, xy.y);
+			};
+			const points = waypoints.map(screen);
+
+			ctx.save();
+			ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+			ctx.lineWidth = 1.5;
+			ctx.beginPath();
+			points.forEach((p, index) => (index === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+			ctx.stroke();
+
+			const progress = this.progress;
+			if (progress && !progress.complete) {
+				const from = screen(progress.from);
+				const to = points[progress.index];
+				ctx.strokeStyle = "#00d9ff";
+				ctx.lineWidth = 4;
+				ctx.beginPath();
+				ctx.moveTo(from.x, from.y);
+				ctx.lineTo(to.x, to.y);
+				ctx.stroke();
+				ctx.beginPath();
+				ctx.arc(to.x, to.y, 10, 0, 2 * Math.PI);
+				ctx.lineWidth = 2;
+				ctx.stroke();
+			}
+
+			points.forEach((p, index) => {
+				ctx.beginPath();
+				ctx.arc(p.x, p.y, 4, 0, 2 * Math.PI);
+				ctx.fillStyle = progress && index < progress.index ? "#00ff88" : "rgba(255, 255, 255, 0.7)";
+				ctx.fill();
+			});
+			ctx.restore();
+		},
+
+		startGPSTracking() {
+			this.gpsTracker.isTracking = true;
+			toastr.info("GPS tracking started", "Trajectory");
+		},
+
+		stopGPSTracking() {
+			this.gpsTracker.isTracking = false;
+		},
+
+		resetGPSPath() {
+			this.gpsView.clear();
+			this.gpsTracker.pointCount = 0;
+			this.gpsTracker.totalDistance = 0;
+		},
+
+		clearGPSPath() {
+			if (!confirm("Clear trajectory history?")) return;
+			this.resetGPSPath();
+			this.loadMissionText(this.mission.target);
+		},
+
+		missionCamera(target = this.mission.target) {
+			return target === "surface" ? this.surfaceCamera : this.underwaterCamera;
+		},
+
+		missionVerticalKey(target = this.mission.target) {
+			return target === "surface" ? "alt" : "depth";
+		},
+
+		loadMissionText(target) {
+			if (target !== this.mission.target) return;
+			const text = this.missionCamera(target).waypointsText;
+			if (text === this.mission.lastSynced) return;
+			const { waypoints, errors } = parseWaypoints(text, this.missionVerticalKey(target));
+			this.mission.textErrors = errors.length;
+			this.missionEditor.setWaypoints(waypoints);
+		},
+
+		// Map edits rewrite only the lines they touch, so comments survive
+		syncMissionText(waypoints, edit) {
+			const camera = this.missionCamera();
+			const text = applyWaypointEdit(camera.waypointsText, edit, waypoints, this.missionVerticalKey());
+			this.mission.lastSynced = text;
+			camera.waypointsText = text;
+		},
+
+		setMissionTarget(target) {
+			this.mission.target = target;
+			this.mission.lastSynced = null;
+			this.missionEditor.configure({
+				verticalKey: this.missionVerticalKey(target),
+				color: target === "surface" ? "#ffaa00" : "#c77dff",
+			});
+			this.loadMissionText(target);
+		},
+
+		toggleMissionEditor() {
+			this.mission.editing = !this.mission.editing;
+			if (this.mission.editing) {
+				if (this.survey.editing) this.toggleSurveyArea();
+				this.loadMissionText(this.mission.target);
+				this.missionEditor.enable();
+			} else {
+				this.missionEditor.disable();
+			}
+		},
+
+		surveySpacing() {
+			return surveyLineSpacing({
+				range: Number(this.survey.range),
+				fov: Number(this.survey.fov),
+				overlap: Number(this.survey.overlap) / 100,
+			});
+		},
+
+		toggleSurveyArea() {
+			this.survey.editing = !this.survey.editing;
+			if (this.survey.editing) {
+				if (this.mission.editing) this.toggleMissionEditor();
+				this.surveyPlanner.enable();
+			} else {
+				this.surveyPlanner.disable();
+			}
+		},
+
+		async importSurveyArea(file) {
+			if (!file) return;
+			try {
+				const features = parseGeoFile(await file.text());
+				const area =
+					features.find((feature) => feature.kind === "polygon") ||
+					features.find((feature) => feature.kind !== "point" && feature.points.length >= 3);
+				if (!area) throw new Error("No polygon in file");
+				this.surveyPlanner.setArea(area.points);
+				this.survey.areaPoints = area.points.length;
+				this.generateSurvey();
+				toastr.success(`Survey area "${area.name}" loaded`, "Survey");
+			} catch (error) {
+				toastr.error(error.message, `Failed to load ${file.name}`);
+			}
+		},
+
+		clearSurveyArea() {
+			this.surveyPlanner.setArea([]);
+			this.survey.areaPoints = 0;
+			this.generateSurvey();
+		},
+
+		generateSurvey() {
+			const area = this.surveyPlanner.area;
+			Object.assign(this.survey, { waypoints: [], lines: 0, length: 0, duration: null, error: "" });
+			if (area.length >= 3) {
+				try {
+					const { waypoints, lines } = generateLawnmower(area, {
+						spacing: this.surveySpacing(),
+						heading: Number(this.survey.heading) || 0,
+						turn: this.survey.turn,
+						verticalKey: "depth",
+						vertical: Number(this.survey.depth) || 0,
+						speed: Number(this.survey.speed) || null,
+					});
+					const { length, duration } = surveyStats(waypoints, Number(this.survey.speed));
+					Object.assign(this.survey, { waypoints, lines, length, duration });
+				} catch (error) {
+					this.survey.error = error.message;
+				}
+			}
+			this.surveyPlanner.setPreview(this.survey.waypoints);
+		},
+
+		applySurvey() {
+			if (this.survey.waypoints.length === 0) return;
+			this.underwaterCamera.waypointsText = formatWaypoints(this.survey.waypoints, "depth");
+			toastr.info(
+				`${this.survey.waypoints.length} survey waypoint(s) copied, review and save the underwater list`,
+				"Survey"
+			);
+		},
+
+		async importMission(target, file) {
+			if (!file) return;
+			const label = target === "surface" ? "Surface" : "Underwater";
+			const verticalKey = this.missionVerticalKey(target);
+			try {
+				const text = await file.text();
+				// GPX and KML are XML; .plan and QGC WPL files are not
+				const { waypoints, warnings } = /^\s*</.test(text)
+					? geoFeaturesToWaypoints(parseGeoFile(text), verticalKey)
+					: parseMissionFile(text, verticalKey);
+				if (waypoints.length === 0) {
+					toastr.error(`No waypoints found in ${file.name}`, "Error");
+					return;
+				}
+				this.missionCamera(target).waypointsText = formatWaypoints(waypoints, verticalKey);
+				toastr.success(`${waypoints.length} waypoint(s) imported`, `${label} mission`);
+				this.notifyWarnings(`${file.name}: ${warnings.length} warning(s)`, warnings);
+			} catch (error) {
+				toastr.error(error.message, `Failed to import ${file.name}`);
+			}
+		},
+
+		exportMission(target, format) {
+			const verticalKey = this.missionVerticalKey(target);
+			const { waypoints, errors } = parseWaypoints(this.missionCamera(target).waypointsText, verticalKey);
+			this.missionCamera(target).waypointErrors = errors;
+			if (errors.length > 0 || waypoints.length === 0) {
+				toastr.error("Fix the waypoint list before exporting", "Error");
+				return;
+			}
+
+			const blob =
+				format === "plan"
+					? new Blob([JSON.stringify(missionToPlan(waypoints, verticalKey), null, 2)], { type: "application/json" })
+					: new Blob([missionToWPL(waypoints, verticalKey)], { type: "text/plain" });
+			const link = document.createElement("a");
+			link.href = URL.createObjectURL(blob);
+			link.download = `${target}-mission.${format === "plan" ? "plan" : "waypoints"}`;
+			link.click();
+			setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+		},
+
+		async startReplay(session) {
+			try {
+				const events = await this.recorder.getEvents(session.id);
+				if (events.length === 0) {
+					toastr.warning("Session has no recorded data", "Replay");
+					return;
+				}
+				if (!this.replay.active) {
+					this.replay.liveImages = {
+						surface: this.surfaceCamera.image,
+						underwater: this.underwaterCamera.image,
+					};
+				}
+				this.replay.active = true;
+				this.replay.sessionId = session.id;
+				this.player.load(events);
+				toastr.info(`Replaying "${session.name}"`, "Replay");
+			} catch (error) {
+				toastr.error("Failed to load session for replay", "Error");
+			}
+		},
+
+		stopReplay() {
+			this.player.unload();
+			this.replay.active = false;
+			this.replay.sessionId = null;
+			if (this.replay.liveImages) {
+				this.surfaceCamera.image = this.replay.liveImages.surface;
+				this.underwaterCamera.image = this.replay.liveImages.underwater;
+				this.replay.liveImages = null;
+			}
+		},
+
+		showReplayCapture({ camera, url, blob }) {
+			const target = camera === "surface" ? this.surfaceCamera : this.underwaterCamera;
+			if (target.image.startsWith("blob:")) URL.revokeObjectURL(target.image);
+			target.image = blob ? URL.createObjectURL(blob) : url;
+		},
+
+		formatReplayTime(ms) {
+			return moment.utc(ms).format("HH:mm:ss");
+		},
+
 		async connectGcs() {
+			if (this.isConnecting) return;
+			if (!this.allow("gcs", "connectGcs") || !this.allow("serial", "connectGcs")) return;
+			this.isConnecting = true;
 			try {
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				const response = await this.sendCommand({
 					app_connect: true,
 					port: this.port,
 					baudrate: this.baudrate
-				});
+				}, "connectGcs");
 				toastr.success("GCS connected successfully!", "Success");
 			} catch (error) {
 				toastr.error("Failed to connect GCS", "Error");
+			} finally {
+				this.isConnecting = false;
 			}
 		},
 
 		async disconnectGcs() {
+			if (!this.allow("gcs", "disconnectGcs")) return;
 			try {
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				const response = await this.sendCommand({
 					app_connect: false,
-				});
+				}, "disconnectGcs");
 				toastr.success("GCS disconnected successfully!", "Success");
 			} catch (error) {
 				toastr.error("Failed to disconnect GCS", "Error");
@@ -82,16 +1357,34 @@ const x_data = () => {
 		},
 
 		async saveSurfaceWaypoints() {
-			if (this.surfaceCamera.waypointsText === "") {
+			const action = "saveSurfaceWaypoints";
+			if (!this.allow("waypoints", action)) return;
+			if (this.surfaceCamera.waypointsText.trim() === "") {
 				toastr.error("Waypoints for surface camera cannot be empty", "Error");
+				this.audit({ action, outcome: "invalid", error: "No waypoints entered" });
+				return;
+			}
+			const { waypoints, errors } = parseWaypoints(this.surfaceCamera.waypointsText, "alt");
+			this.surfaceCamera.waypointErrors = errors;
+			if (errors.length > 0) {
+				toastr.error(
+					`Surface waypoints have ${errors.length} error(s), nothing was sent`,
+					"Error"
+				);
+				this.audit({
+					action,
+					payload: this.surfaceCamera.waypointsText,
+					outcome: "invalid",
+					error: errors.map((error) => `line ${error.line}: ${error.message}`).join("; "),
+				});
 				return;
 			}
 			try {
-				this.surfaceCamera.waypoints =
-					this.surfaceCamera.waypointsText.split(" ");
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				this.surfaceCamera.waypoints = waypoints;
+				const response = await this.sendCommand({
 					surface_camera_waypoints: this.surfaceCamera.waypoints,
-				});
+				}, action);
+				this.progressTracker.setWaypoints(waypoints, "surface");
 				toastr.success(
 					"Waypoints for surface camera saved successfully!",
 					"Success"
@@ -101,86 +1394,301 @@ const x_data = () => {
 			}
 		},
 
-		async startSurfaceCamera() {
+		async startSurfaceCamera(auto = false) {
+			const source = auto ? "auto (stream restart)" : "user";
+			if (!this.allow("camera", "startSurfaceCamera", source)) return false;
 			try {
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				const response = await this.sendCommand({
 					surface_camera_connect: true,
-				});
+				}, "startSurfaceCamera", source);
 				this.surfaceCamera.refreshStream += 1;
 				this.surfaceCamera.streamUrl = `${this.ipAddress}/camera/surface-stream?refresh=${this.surfaceCamera.refreshStream}`;
-				toastr.success("Surface camera started successfully!", "Success");
+				if (!auto) toastr.success("Surface camera started successfully!", "Success");
+				return true;
 			} catch (error) {
-				toastr.error("Failed to start surface camera", "Error");
+				if (!auto) toastr.error("Failed to start surface camera", "Error");
+				return false;
 			}
 		},
 
 		async stopSurfaceCamera() {
+			if (!this.allow("camera", "stopSurfaceCamera")) return;
 			try {
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				const response = await this.sendCommand({
 					surface_camera_connect: false,
-				});
+				}, "stopSurfaceCamera");
 				this.surfaceCamera.streamUrl = "";
+				this.clearStreamFrame("surface");
 				toastr.success("Surface camera stopped successfully!", "Success");
 			} catch (error) {
 				toastr.error("Failed to stop surface camera", "Error");
 			}
 		},
 
-		async captureSurfaceImage() {
+		async captureSurfaceImage(trigger = null) {
+			const source = trigger ? `auto (${trigger.reason})` : "user";
+			if (!this.allow("capture", "captureSurfaceImage", source)) return false;
+			const telemetry = this.gallery.snapshot(this.liveData || this.vehicleData);
 			try {
-				const response = await axios.get(
-					`${this.ipAddress}/camera/surface-capture`
+				const response = await this.audited("captureSurfaceImage", null, source, () =>
+					axios.get(`${this.ipAddress}/camera/surface-capture`)
 				);
 				this.surfaceCamera.refreshImage += 1;
 				this.surfaceCamera.image = `${this.ipAddress}/camera/surface-latest?refresh=${this.surfaceCamera.refreshImage}`;
-				toastr.success(
-					"Image for surface camera captured successfully!",
-					"Success"
-				);
+				this.recordCapture("surface", this.surfaceCamera.image, trigger, telemetry);
+				if (!trigger) {
+					toastr.success(
+						"Image for surface camera captured successfully!",
+						"Success"
+					);
+				}
+				return true;
 			} catch (error) {
-				toastr.error("Failed to capture surface image", "Error");
+				if (!trigger) toastr.error("Failed to capture surface image", "Error");
+				return false;
 			}
 		},
 
-		async startUnderwaterCamera() {
+		async startUnderwaterCamera(auto = false) {
+			const source = auto ? "auto (stream restart)" : "user";
+			if (!this.allow("camera", "startUnderwaterCamera", source)) return false;
 			try {
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				const response = await this.sendCommand({
 					underwater_camera_connect: true,
-				});
+				}, "startUnderwaterCamera", source);
 				this.underwaterCamera.refreshStream += 1;
 				this.underwaterCamera.streamUrl = `${this.ipAddress}/camera/underwater-stream?refresh=${this.underwaterCamera.refreshStream}`;
-				toastr.success("Underwater camera started successfully!", "Success");
+				if (!auto) toastr.success("Underwater camera started successfully!", "Success");
+				return true;
 			} catch (error) {
-				toastr.error("Failed to start underwater camera", "Error");
+				if (!auto) toastr.error("Failed to start underwater camera", "Error");
+				return false;
 			}
 		},
 
 		async stopUnderwaterCamera() {
+			if (!this.allow("camera", "stopUnderwaterCamera")) return;
 			try {
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				const response = await this.sendCommand({
 					underwater_camera_connect: false,
-				});
+				}, "stopUnderwaterCamera");
 				this.underwaterCamera.streamUrl = "";
+				this.clearStreamFrame("underwater");
 				toastr.success("Underwater camera stopped successfully!", "Success");
 			} catch (error) {
 				toastr.error("Failed to stop underwater camera", "Error");
 			}
 		},
 
+		clearStreamFrame(camera) {
+			const target = camera === "surface" ? this.surfaceCamera : this.underwaterCamera;
+			if (target.frameUrl) URL.revokeObjectURL(target.frameUrl);
+			target.frameUrl = "";
+		},
+
+		noteStreamHealth(camera, health) {
+			const previous = this.streamHealth[camera].state;
+			this.streamHealth[camera] = health;
+			const name = camera === "surface" ? "Surface" : "Underwater";
+			if (health.state === "stalled" && previous !== "stalled") {
+				toastr.warning(`${name} stream stalled: ${health.reason}`, "Camera");
+			} else if (health.state === "live" && (previous === "stalled" || previous === "error")) {
+				toastr.success(`${name} stream recovered`, "Camera");
+			}
+		},
+
+		// Auto-restart goes through the same start endpoint as the Start button
+		async restartStream(camera) {
+			const started =
+				camera === "surface" ? await this.startSurfaceCamera(true) : await this.startUnderwaterCamera(true);
+			if (!started) this.streamMonitors[camera].restartFailed("Start command failed");
+		},
+
+		toggleStreamAutoRestart() {
+			if (!this.allow("camera", "toggleStreamAutoRestart")) return;
+			this.streamAutoRestart = !this.streamAutoRestart;
+			Object.values(this.streamMonitors).forEach((monitor) => monitor.setAutoRestart(this.streamAutoRestart));
+			this.audit({ action: "toggleStreamAutoRestart", payload: { enabled: this.streamAutoRestart }, outcome: "ok" });
+		},
+
+		streamLabel(camera) {
+			const health = this.streamHealth[camera];
+			if (health.state === "live") return `LIVE ${health.fps.toFixed(1)} fps`;
+			if (health.state === "connecting") return "CONNECTING";
+			const retry =
+				health.nextRestartIn === null ? "" : ` \u00b7 retry in ${Math.ceil(health.nextRestartIn / 1000)} s`;
+			if (health.state === "stalled") return `STREAM STALLED${retry}`;
+			if (health.state === "error") return `STREAM ERROR${retry}`;
+			return "";
+		},
+
+		toggleHud(camera) {
+			this.hud[camera] = !this.hud[camera];
+			saveHudSettings(this.hud);
+			if (this.hud[camera]) this.$nextTick(() => this.drawHuds());
+			else this.cameraHuds[camera].clear();
+		},
+
+		drawHuds() {
+			const waypoint = this.progress
+				? `WP ${Math.min(this.progress.index + 1, this.progress.total)}/${this.progress.total}`
+				: null;
+			Object.entries(this.cameraHuds).forEach(([camera, hud]) => {
+				if (this.hud[camera]) hud.draw(this.vehicleData, { waypoint });
+			});
+		},
+
+		// Frames arriving while the previous one is still being enhanced are dropped
+		async enhanceFrame(camera, blob) {
+			if (this.enhanceBusy[camera]) return null;
+			this.enhanceBusy[camera] = true;
+			try {
+				return await enhanceBlob(blob, this.enhanceSettings, { maxWidth: 640, quality: 0.85 });
+			} catch (error) {
+				this.enhanceLive[camera] = false;
+				toastr.error(`Live enhancement stopped: ${error.message}`, "Enhance");
+				return blob;
+			} finally {
+				this.enhanceBusy[camera] = false;
+			}
+		},
+
+		enhancementSource(target) {
+			if (target === "viewer") return this.galleryViewer ? this.galleryViewer.fullUrl : "";
+			return this.underwaterCamera.image;
+		},
+
+		toggleEnhancement(target) {
+			const state = this.enhancement[target];
+			state.active = !state.active;
+			if (state.active) {
+				this.refreshEnhancement(target);
+			} else {
+				if (state.url) URL.revokeObjectURL(state.url);
+				state.url = "";
+			}
+		},
+
+		async refreshEnhancement(target) {
+			const state = this.enhancement[target];
+			const source = this.enhancementSource(target);
+			if (!state.active || !source) return;
+			state.busy = true;
+			try {
+				const blob = await (await this.auth.fetch(source)).blob();
+				const enhanced = await enhanceBlob(blob, this.enhanceSettings);
+				// A newer image or a toggle may have come in meanwhile
+				if (!state.active || source !== this.enhancementSource(target)) return;
+				if (state.url) URL.revokeObjectURL(state.url);
+				state.url = URL.createObjectURL(enhanced);
+			} catch (error) {
+				toastr.error(`Enhancement failed: ${error.message}`, "Enhance");
+			} finally {
+				state.busy = false;
+			}
+		},
+
+		downloadEnhanced(target) {
+			const state = this.enhancement[target];
+			if (!state.url) return;
+			const link = document.createElement("a");
+			link.href = state.url;
+			link.download =
+				target === "viewer"
+					? captureFileName(this.galleryViewer).replace(/\.jpg$/, "_enhanced.jpg")
+					: `underwater_${moment().format("YYYYMMDD_HHmmss")}_enhanced.jpg`;
+			link.click();
+		},
+
+		resetEnhanceSettings() {
+			this.enhanceSettings = { ...DEFAULT_ENHANCE_SETTINGS };
+		},
+
+		toggleVideoRecording(camera) {
+			if (this.videoRecording[camera].active) this.stopVideoRecording(camera);
+			else this.startVideoRecording(camera);
+		},
+
+		startVideoRecording(camera) {
+			const overlay = this.videoRecording[camera].overlay;
+			try {
+				this.cameraRecorders[camera].start(this.$refs[`${camera}Stream`], {
+					telemetry: overlay ? () => this.liveData || this.vehicleData : null,
+				});
+			} catch (error) {
+				toastr.error(error.message, "Recording");
+				return;
+			}
+			Object.assign(this.videoRecording[camera], { active: true, elapsed: "00:00" });
+		},
+
+		// Finished videos go into the session being recorded as "video" events
+		async stopVideoRecording(camera) {
+			if (!this.videoRecording[camera].active) return;
+			this.videoRecording[camera].active = false;
+			try {
+				const video = await this.cameraRecorders[camera].stop();
+				const overlay = this.videoRecording[camera].overlay;
+				this.recorder.record("video", { camera, overlay, ...video });
+				this.videoRecordings.unshift({
+					camera,
+					overlay,
+					url: URL.createObjectURL(video.blob),
+					size: video.blob.size,
+					startedAt: video.startedAt,
+					duration: video.duration,
+					sessionId: this.recordingSessionId,
+				});
+				toastr.success(`Recorded ${formatVideoDuration(video.duration)} of ${camera} video`, "Recording");
+			} catch (error) {
+				toastr.error(`Recording failed: ${error.message}`, "Recording");
+			}
+		},
+
+		downloadVideo(video) {
+			const link = document.createElement("a");
+			link.href = video.url;
+			link.download = videoFileName(video);
+			link.click();
+		},
+
+		removeVideo(video) {
+			URL.revokeObjectURL(video.url);
+			this.videoRecordings = this.videoRecordings.filter((item) => item !== video);
+		},
+
 		async saveUnderwaterWaypoints() {
-			if (this.underwaterCamera.waypointsText === "") {
+			const action = "saveUnderwaterWaypoints";
+			if (!this.allow("waypoints", action)) return;
+			if (this.underwaterCamera.waypointsText.trim() === "") {
 				toastr.error(
 					"Waypoints for underwater camera cannot be empty",
 					"Error"
 				);
+				this.audit({ action, outcome: "invalid", error: "No waypoints entered" });
+				return;
+			}
+			const { waypoints, errors } = parseWaypoints(this.underwaterCamera.waypointsText, "depth");
+			this.underwaterCamera.waypointErrors = errors;
+			if (errors.length > 0) {
+				toastr.error(
+					`Underwater waypoints have ${errors.length} error(s), nothing was sent`,
+					"Error"
+				);
+				this.audit({
+					action,
+					payload: this.underwaterCamera.waypointsText,
+					outcome: "invalid",
+					error: errors.map((error) => `line ${error.line}: ${error.message}`).join("; "),
+				});
 				return;
 			}
 			try {
-				this.underwaterCamera.waypoints =
-					this.underwaterCamera.waypointsText.split(" ");
-				const response = await axios.post(`${this.ipAddress}/context`, {
+				this.underwaterCamera.waypoints = waypoints;
+				const response = await this.sendCommand({
 					underwater_camera_waypoints: this.underwaterCamera.waypoints,
-				});
+				}, action);
+				this.progressTracker.setWaypoints(waypoints, "underwater");
 				toastr.success(
 					"Waypoints for underwater camera saved successfully!",
 					"Success"
@@ -190,19 +1698,27 @@ const x_data = () => {
 			}
 		},
 
-		async captureUnderwaterImage() {
+		async captureUnderwaterImage(trigger = null) {
+			const source = trigger ? `auto (${trigger.reason})` : "user";
+			if (!this.allow("capture", "captureUnderwaterImage", source)) return false;
+			const telemetry = this.gallery.snapshot(this.liveData || this.vehicleData);
 			try {
-				const response = await axios.get(
-					`${this.ipAddress}/camera/underwater-capture`
+				const response = await this.audited("captureUnderwaterImage", null, source, () =>
+					axios.get(`${this.ipAddress}/camera/underwater-capture`)
 				);
 				this.underwaterCamera.refreshImage += 1;
 				this.underwaterCamera.image = `${this.ipAddress}/camera/underwater-latest?refresh=${this.underwaterCamera.refreshImage}`;
-				toastr.success(
-					"Image for underwater camera captured successfully!",
-					"Success"
-				);
+				this.recordCapture("underwater", this.underwaterCamera.image, trigger, telemetry);
+				if (!trigger) {
+					toastr.success(
+						"Image for underwater camera captured successfully!",
+						"Success"
+					);
+				}
+				return true;
 			} catch (error) {
-				toastr.error("Failed to capture underwater image", "Error");
+				if (!trigger) toastr.error("Failed to capture underwater image", "Error");
+				return false;
 			}
 		},
 	};
@@ -0,0 +1,220 @@
+// Records telemetry frames, operator commands and camera captures into
+// IndexedDB, one named session per page load.
+const createSessionRecorder = (options = {}) => {
+	const settings = {
+		dbName: "krakatau-andover",
+		source: "dashboard",
+		flushInterval: 1000,
+		maxAttempts: 3, // writes of one batch before it is dropped
+		onDropped: () => {},
+		...options,
+	};
+
+	let db = null;
+	let session = null;
+	let buffer = [];
+	let flushTimer = null;
+	let flushing = null;
+	let failures = 0;
+
+	const request = (req) =>
+		new Promise((resolve, reject) => {
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		});
+
+	const done = (tx) =>
+		new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+
+	const openDb = () => {
+		if (db) return Promise.resolve(db);
+		const req = indexedDB.open(settings.dbName, 1);
+		req.onupgradeneeded = () => {
+			const upgrade = req.result;
+			upgrade.createObjectStore("sessions", { keyPath: "id", autoIncrement: true });
+			const events = upgrade.createObjectStore("events", { keyPath: "id", autoIncrement: true });
+			events.createIndex("session", ["sessionId", "t"]);
+		};
+		return request(req).then((result) => {
+			db = result;
+			return db;
+		});
+	};
+
+	const eventRange = (sessionId) =>
+		IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+
+	// A failed write puts its batch back in front of the buffer, so the next
+	// flush retries it. After `maxAttempts` failures in a row, e.g. a full
+	// quota, the batch is dropped and reported to `onDropped` instead of
+	// growing forever.
+	const write = async () => {
+		if (!session || buffer.length === 0) return;
+		const current = session;
+		const batch = buffer;
+		buffer = [];
+
+		const counts = { ...current.counts };
+		batch.forEach((event) => {
+			counts[event.type] = (counts[event.type] || 0) + 1;
+		});
+		const endedAt = batch[batch.length - 1].t;
+		try {
+			const tx = db.transaction(["sessions", "events"], "readwrite");
+			const events = tx.objectStore("events");
+			batch.forEach((event) => events.add(event));
+			tx.objectStore("sessions").put({ ...current, counts, endedAt });
+			await done(tx);
+		} catch (error) {
+			failures += 1;
+			if (failures < settings.maxAttempts) {
+				buffer = batch.concat(buffer);
+			} else {
+				failures = 0;
+				settings.onDropped({ error, events: batch.length });
+			}
+			throw error;
+		}
+		failures = 0;
+		current.counts = counts;
+		current.endedAt = endedAt;
+	};
+
+	// Each write stores counts built on the previous one's, so the timer,
+	// getEvents and pagehide queue behind a write in flight instead of
+	// overlapping it
+	const flush = () => {
+		const next = (flushing || Promise.resolve()).catch(() => {}).then(write);
+		flushing = next;
+		const settle = () => {
+			if (flushing === next) flushing = null;
+		};
+		next.then(settle, settle);
+		return next;
+	};
+
+	// The page can go away between two flushes; the write started here
+	// normally still completes
+	const onPageHide = () => {
+		flush().catch((error) => console.error("Session flush failed:", error));
+	};
+
+	const blobToDataUrl = (blob) =>
+		new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve(reader.result);
+			reader.onerror = () => reject(reader.error);
+			reader.readAsDataURL(blob);
+		});
+
+	return {
+		get session() {
+			return session;
+		},
+
+		async start(name) {
+			await openDb();
+			if (session) await this.stop();
+			const startedAt = Date.now();
+			session = {
+				name: name || `Session ${new Date(startedAt).toLocaleString()}`,
+				source: settings.source,
+				startedAt,
+				endedAt: startedAt,
+				counts: {},
+			};
+			const tx = db.transaction("sessions", "readwrite");
+			session.id = await request(tx.objectStore("sessions").add(session));
+			flushTimer = setInterval(() => {
+				flush().catch((error) => console.error("Session flush failed:", error));
+			}, settings.flushInterval);
+			window.addEventListener("pagehide", onPageHide);
+			return session;
+		},
+
+		async stop() {
+			if (!session) return;
+			clearInterval(flushTimer);
+			flushTimer = null;
+			window.removeEventListener("pagehide", onPageHide);
+			await flush();
+			session = null;
+		},
+
+		// `type` is one of "telemetry", "command", "capture" or "video"
+		record(type, payload) {
+			if (!session) return;
+			buffer.push({ sessionId: session.id, t: Date.now(), type, payload });
+		},
+
+		async listSessions() {
+			await openDb();
+			const sessions = await request(db.transaction("sessions").objectStore("sessions").getAll());
+			return sessions.sort((a, b) => b.startedAt - a.startedAt);
+		},
+
+		async getSession(id) {
+			await openDb();
+			return request(db.transaction("sessions").objectStore("sessions").get(id));
+		},
+
+		async getEvents(id) {
+			await openDb();
+			if (session && session.id === id) await flush();
+			const index = db.transaction("events").objectStore("events").index("session");
+			return request(index.getAll(eventRange(id)));
+		},
+
+		async renameSession(id, name) {
+			await openDb();
+			if (session && session.id === id) session.name = name;
+			const tx = db.transaction("sessions", "readwrite");
+			const store = tx.objectStore("sessions");
+			const record = await request(store.get(id));
+			if (!record) throw new Error(`Session ${id} not found`);
+			record.name = name;
+			store.put(record);
+			await done(tx);
+		},
+
+		async deleteSession(id) {
+			await openDb();
+			if (session && session.id === id) throw new Error("Cannot delete the session being recorded");
+			const tx = db.transaction(["sessions", "events"], "readwrite");
+			tx.objectStore("sessions").delete(id);
+			tx.objectStore("events").index("session").openKeyCursor(eventRange(id)).onsuccess = (event) => {
+				const cursor = event.target.result;
+				if (!cursor) return;
+				tx.objectStore("events").delete(cursor.primaryKey);
+				cursor.continue();
+			};
+			await done(tx);
+		},
+
+		async exportSession(id) {
+			const record = await this.getSession(id);
+			if (!record) throw new Error(`Session ${id} not found`);
+			const events = await this.getEvents(id);
+			for (const event of events) {
+				if (event.payload && event.payload.blob instanceof Blob) {
+					event.payload = { ...event.payload, blob: await blobToDataUrl(event.payload.blob) };
+				}
+			}
+			return new Blob([JSON.stringify({ session: record, events })], { type: "application/json" });
+		},
+
+		async downloadSession(id) {
+			const record = await this.getSession(id);
+			const blob = await this.exportSession(id);
+			const link = document.createElement("a");
+			link.href = URL.createObjectURL(blob);
+			link.download = `${record.name.replace(/[^\w.-]+/g, "_")}.json`;
+			link.click();
+			setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+		},
+	};
+};
@@ -0,0 +1,296 @@
+// Camera stream health. An MJPEG <img> gives no signal when the backend stops
+// sending frames, so the stream is read with fetch() instead: every part of
+// the multipart/x-mixed-replace body is handed out as a Blob and its arrival
+// time recorded. Parts are cut at their Content-Length, or at the next
+// boundary when a part has none, never by scanning for JPEG markers: EXIF
+// thumbnails carry their own start and end markers inside the frame.
+// A stream with no frame for `stallTimeout` is reported stalled and, while
+// auto-restart is on, the caller is asked to restart it with an exponential
+// backoff that resets once frames flow again.
+const STREAM_STATES = {
+	IDLE: "idle",
+	CONNECTING: "connecting",
+	LIVE: "live",
+	STALLED: "stalled",
+	ERROR: "error",
+};
+
+// Index of `pattern` in `bytes` at or after `from`, or -1
+const indexOfBytes = (bytes, pattern, from = 0) => {
+	const first = pattern[0];
+	const last = bytes.length - pattern.length;
+	for (let i = Math.max(0, from); i <= last; i++) {
+		if (bytes[i] !== first) continue;
+		let j = 1;
+		while (j < pattern.length && bytes[i + j] === pattern[j]) j++;
+		if (j === pattern.length) return i;
+	}
+	return -1;
+};
+
+const streamBoundary = (contentType) => {
+	const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+	return match ? match[1] || match[2] : null;
+};
+
+// `{ type, length }` of a part's header block; length is null when absent
+const parsePartHeaders = (text) => {
+	const headers = {};
+	text.split(/\r?\n/).forEach((line) => {
+		const colon = line.indexOf(":");
+		if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+	});
+	const length = Number.parseInt(headers["content-length"], 10);
+	return { type: headers["content-type"] || "", length: Number.isFinite(length) && length >= 0 ? length : null };
+};
+
+const createStreamMonitor = (options = {}) => {
+	const settings = {
+		stallTimeout: 3000, // ms without a frame
+		checkInterval: 1000,
+		restartDelay: 1000, // first backoff step, doubled per attempt
+		maxRestartDelay: 30000,
+		maxBuffer: 8 * 1024 * 1024, // bytes kept while waiting for the rest of a frame
+		autoRestart: true,
+		fetch: (input, init) => fetch(input, init), // e.g. to attach credentials
+		...options,
+	};
+
+	const listeners = {
+		frame: new Set(),
+		state: new Set(),
+		restart: new Set(),
+	};
+
+	let url = "";
+	let controller = null;
+	let generation = 0;
+	let state = STREAM_STATES.IDLE;
+	let reason = "";
+	let openedAt = null;
+	let lastFrameAt = null;
+	let fps = 0;
+	let frames = 0;
+	let errors = 0;
+	let restarts = 0;
+	let attempt = 0;
+	let restartTimer = null;
+	let nextRestartAt = null;
+	let checkTimer = null;
+
+	const emit = (event, payload) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Stream ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const health = (now = Date.now()) => ({
+		state,
+		reason,
+		fps,
+		frames,
+		errors,
+		restarts,
+		attempt,
+		frameAge: lastFrameAt === null ? null : now - lastFrameAt,
+		nextRestartIn: nextRestartAt === null ? null : Math.max(0, nextRestartAt - now),
+	});
+
+	const setState = (next, why = "") => {
+		if (state === next && reason === why) return;
+		state = next;
+		reason = why;
+		emit("state", health());
+	};
+
+	const cancelRestart = () => {
+		clearTimeout(restartTimer);
+		restartTimer = null;
+		nextRestartAt = null;
+	};
+
+	const scheduleRestart = () => {
+		if (!settings.autoRestart || restartTimer || !url) return;
+		const delay = Math.min(settings.maxRestartDelay, settings.restartDelay * 2 ** attempt);
+		attempt += 1;
+		nextRestartAt = Date.now() + delay;
+		restartTimer = setTimeout(() => {
+			restartTimer = null;
+			nextRestartAt = null;
+			restarts += 1;
+			emit("restart", { attempt, reason, url });
+		}, delay);
+	};
+
+	const fail = (next, why) => {
+		if (next === STREAM_STATES.ERROR) errors += 1;
+		scheduleRestart();
+		setState(next, why);
+	};
+
+	const noteFrame = (blob) => {
+		const now = Date.now();
+		if (lastFrameAt !== null) {
+			const instant = 1000 / Math.max(1, now - lastFrameAt);
+			fps = fps ? fps * 0.8 + instant * 0.2 : instant;
+		}
+		lastFrameAt = now;
+		frames += 1;
+		attempt = 0;
+		cancelRestart();
+		setState(STREAM_STATES.LIVE);
+		emit("frame", { blob, t: now });
+	};
+
+	const read = async (id, signal) => {
+		const response = await settings.fetch(url, { cache: "no-store", signal });
+		if (!response.ok) throw new Error(`HTTP ${response.status}`);
+		if (!response.body) throw new Error("Streaming responses are not supported");
+		const contentType = response.headers.get("Content-Type");
+		const boundary = streamBoundary(contentType);
+		if (!boundary) throw new Error(`Not a multipart stream (${contentType || "no content type"})`);
+
+		const encoder = new TextEncoder();
+		const decoder = new TextDecoder();
+		const delimiter = encoder.encode(`--${boundary}`);
+		const headerEnd = encoder.encode("\r\n\r\n");
+		const reader = response.body.getReader();
+		let buffer = new Uint8Array(0);
+		// Set once a part's headers are in: `{ type, length, bodyStart, scanned }`
+		let part = null;
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (id !== generation) return;
+			if (done) throw new Error("Stream ended");
+
+			const merged = new Uint8Array(buffer.length + value.length);
+			merged.set(buffer);
+			merged.set(value, buffer.length);
+			buffer = merged;
+
+			for (;;) {
+				if (!part) {
+					const at = indexOfBytes(buffer, delimiter);
+					if (at === -1) {
+						// Keep what could be the start of a split delimiter
+						buffer = buffer.slice(Math.max(0, buffer.length - delimiter.length + 1));
+						break;
+					}
+					const headersAt = at + delimiter.length;
+					const bodyAt = indexOfBytes(buffer, headerEnd, headersAt);
+					if (bodyAt === -1) {
+						buffer = buffer.slice(at);
+						break;
+					}
+					const headers = parsePartHeaders(decoder.decode(buffer.subarray(headersAt, bodyAt)));
+					part = { ...headers, bodyStart: bodyAt + headerEnd.length, scanned: bodyAt + headerEnd.length };
+				}
+
+				let end;
+				if (part.length !== null) {
+					end = part.bodyStart + part.length;
+					if (buffer.length < end) break;
+				} else {
+					const next = indexOfBytes(buffer, delimiter, part.scanned);
+					if (next === -1) {
+						part.scanned = Math.max(part.bodyStart, buffer.length - delimiter.length + 1);
+						break;
+					}
+					// The line break before the next boundary belongs to it
+					end = next;
+					if (end > part.bodyStart && buffer[end - 1] === 0x0a) end -= 1;
+					if (end > part.bodyStart && buffer[end - 1] === 0x0d) end -= 1;
+				}
+
+				if (!part.type || part.type.startsWith("image/")) {
+					noteFrame(new Blob([buffer.slice(part.bodyStart, end)], { type: part.type || "image/jpeg" }));
+				}
+				buffer = buffer.slice(end);
+				part = null;
+			}
+
+			if (buffer.length > settings.maxBuffer) throw new Error("Frame larger than the read buffer");
+		}
+	};
+
+	const check = () => {
+		if (state !== STREAM_STATES.CONNECTING && state !== STREAM_STATES.LIVE) return;
+		const since = lastFrameAt ?? openedAt;
+		if (Date.now() - since > settings.stallTimeout) {
+			fail(STREAM_STATES.STALLED, lastFrameAt === null ? "No frames received" : "Frames stopped arriving");
+		}
+	};
+
+	const stopReading = () => {
+		generation += 1;
+		if (controller) controller.abort();
+		controller = null;
+	};
+
+	return {
+		get health() {
+			return health();
+		},
+
+		get url() {
+			return url;
+		},
+
+		// Starts reading `streamUrl`, replacing any stream already open
+		open(streamUrl) {
+			stopReading();
+			url = streamUrl;
+			openedAt = Date.now();
+			lastFrameAt = null;
+			fps = 0;
+			cancelRestart();
+			setState(STREAM_STATES.CONNECTING);
+			if (!checkTimer) checkTimer = setInterval(check, settings.checkInterval);
+
+			const id = generation;
+			controller = new AbortController();
+			read(id, controller.signal).catch((error) => {
+				if (id !== generation) return;
+				fail(STREAM_STATES.ERROR, error.message);
+			});
+		},
+
+		close() {
+			stopReading();
+			cancelRestart();
+			clearInterval(checkTimer);
+			checkTimer = null;
+			url = "";
+			lastFrameAt = null;
+			fps = 0;
+			attempt = 0;
+			setState(STREAM_STATES.IDLE);
+		},
+
+		// The caller's restart attempt failed before a new stream could open
+		restartFailed(why) {
+			stopReading();
+			fail(STREAM_STATES.ERROR, why || "Restart failed");
+		},
+
+		setAutoRestart(enabled) {
+			settings.autoRestart = Boolean(enabled);
+			if (!settings.autoRestart) cancelRestart();
+			else if (state === STREAM_STATES.STALLED || state === STREAM_STATES.ERROR) scheduleRestart();
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown stream event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
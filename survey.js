@@ -0,0 +1,253 @@
+// Lawnmower survey generator for seabed coverage. Lines run along `heading`
+// across the survey polygon, `spacing` apart, alternating direction; the turn
+// direction decides which side of the first line the pattern grows towards.
+// Each sweep line is clipped to the outermost polygon crossings, so concave
+// areas are covered across their gaps rather than split into extra lines.
+const SURVEY_LIMITS = {
+	maxLines: 500,
+};
+
+// Swath width of a downward camera `range` meters above the seabed, reduced
+// by the side overlap between neighbouring lines (0-1)
+const surveyLineSpacing = ({ range, fov, overlap = 0 }) =>
+	2 * range * Math.tan((fov * Math.PI) / 360) * (1 - overlap);
+
+const surveyToLocal = (origin, point) => {
+	const rad = Math.PI / 180;
+	return {
+		east: (point.lon - origin.lon) * rad * 6371000 * Math.cos(origin.lat * rad),
+		north: (point.lat - origin.lat) * rad * 6371000,
+	};
+};
+
+const surveyFromLocal = (origin, east, north) => {
+	const rad = Math.PI / 180;
+	return {
+		lat: origin.lat + north / (6371000 * rad),
+		lon: origin.lon + east / (6371000 * rad * Math.cos(origin.lat * rad)),
+	};
+};
+
+const generateLawnmower = (polygon, options = {}) => {
+	const settings = {
+		spacing: 5, // meters between lines
+		heading: 0, // degrees, direction of the first line
+		turn: "right",
+		verticalKey: "depth",
+		vertical: 0,
+		speed: null,
+		...options,
+	};
+	if (!polygon || polygon.length < 3) throw new Error("Survey area needs at least 3 points");
+	if (!(settings.spacing > 0)) throw new Error("Line spacing must be greater than 0");
+
+	const origin = polygon[0];
+	const h = (settings.heading * Math.PI) / 180;
+	const along = { east: Math.sin(h), north: Math.cos(h) };
+	const across = { east: Math.cos(h), north: -Math.sin(h) }; // right of the heading
+
+	const rotated = polygon.map((point) => {
+		const v = surveyToLocal(origin, point);
+		return {
+			along: v.east * along.east + v.north * along.north,
+			across: v.east * across.east + v.north * across.north,
+		};
+	});
+	const minAcross = Math.min(...rotated.map((v) => v.across));
+	const maxAcross = Math.max(...rotated.map((v) => v.across));
+
+	const offsets = [];
+	for (let c = minAcross + settings.spacing / 2; c < maxAcross; c += settings.spacing) {
+		offsets.push(c);
+		if (offsets.length > SURVEY_LIMITS.maxLines) {
+			throw new Error(`More than ${SURVEY_LIMITS.maxLines} lines, increase the spacing`);
+		}
+	}
+	if (offsets.length === 0) offsets.push((minAcross + maxAcross) / 2);
+	if (settings.turn === "left") offsets.reverse();
+
+	const lines = offsets
+		.map((c) => {
+			const crossings = [];
+			rotated.forEach((a, i) => {
+				const b = rotated[(i + 1) % rotated.length];
+				if (a.across <= c !== b.across <= c) {
+					const t = (c - a.across) / (b.across - a.across);
+					crossings.push(a.along + t * (b.along - a.along));
+				}
+			});
+			return crossings.length >= 2 ? { c, from: Math.min(...crossings), to: Math.max(...crossings) } : null;
+		})
+		.filter(Boolean);
+
+	const toLatLon = (alongValue, c) =>
+		surveyFromLocal(
+			origin,
+			alongValue * along.east + c * across.east,
+			alongValue * along.north + c * across.north
+		);
+
+	const waypoints = [];
+	lines.forEach((line, index) => {
+		const ends = index % 2 === 0 ? [line.from, line.to] : [line.to, line.from];
+		ends.forEach((value) => {
+			waypoints.push({
+				seq: waypoints.length + 1,
+				...toLatLon(value, line.c),
+				[settings.verticalKey]: settings.vertical,
+				speed: settings.speed,
+			});
+		});
+	});
+	return { waypoints, lines: lines.length };
+};
+
+// Pattern length in meters and duration in seconds at `speed` m/s
+const surveyStats = (waypoints, speed) => {
+	let length = 0;
+	for (let i = 1; i < waypoints.length; i++) {
+		const v = surveyToLocal(waypoints[i - 1], waypoints[i]);
+		length += Math.hypot(v.east, v.north);
+	}
+	return { length, duration: speed > 0 ? length / speed : null };
+};
+
+// Survey area editor and pattern preview, used as a trajectory-view tool.
+// Click to add a corner, drag to move it, right-click to delete it.
+const createSurveyPlanner = (view, options = {}) => {
+	const settings = {
+		hitRadius: 8, // pixels
+		onChange: () => {},
+		onNeedOrigin: () => {},
+		...options,
+	};
+
+	let area = [];
+	let preview = [];
+	let enabled = false;
+	let dragging = null;
+
+	const hitTest = (world) => {
+		const radius = settings.hitRadius / view.zoom;
+		const index = area.findIndex((p) => {
+			const xy = view.toXY(p.lat, p.lon);
+			return Math.hypot(xy.x - world.x, xy.y - world.y) <= radius;
+		});
+		return index === -1 ? null : index;
+	};
+
+	const changed = () => settings.onChange(area.map((p) => ({ ...p })));
+
+	const tool = {
+		pointerdown(world) {
+			dragging = hitTest(world);
+			return dragging !== null;
+		},
+
+		pointermove(world) {
+			if (dragging === null) return;
+			area[dragging] = view.toLatLon(world.x, world.y);
+		},
+
+		pointerup() {
+			dragging = null;
+			changed();
+		},
+
+		click(world) {
+			if (!view.origin) {
+				settings.onNeedOrigin();
+				return;
+			}
+			if (hitTest(world) !== null) return;
+			area.push(view.toLatLon(world.x, world.y));
+			changed();
+		},
+
+		contextmenu(world) {
+			const index = hitTest(world);
+			if (index === null) return;
+			area.splice(index, 1);
+			changed();
+		},
+	};
+
+	const screen = (p) => {
+		const xy = view.toXY(p.lat, p.lon);
+		return view.worldToScreen(xy.x, xy.y);
+	};
+
+	const drawLayer = (ctx) => {
+		if (!view.origin || (area.length === 0 && preview.length === 0)) return;
+		ctx.save();
+
+		if (area.length) {
+			const points = area.map(screen);
+			ctx.beginPath();
+			points.forEach((p, index) => (index === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+			ctx.closePath();
+			ctx.fillStyle = "rgba(0, 255, 136, 0.08)";
+			ctx.fill();
+			ctx.strokeStyle = "#00ff88";
+			ctx.lineWidth = 1.5;
+			ctx.setLineDash([5, 4]);
+			ctx.stroke();
+			ctx.setLineDash([]);
+			if (enabled) {
+				ctx.fillStyle = "#00ff88";
+				points.forEach((p) => ctx.fillRect(p.x - 4, p.y - 4, 8, 8));
+			}
+		}
+
+		if (preview.length > 1) {
+			const points = preview.map(screen);
+			ctx.beginPath();
+			points.forEach((p, index) => (index === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+			ctx.strokeStyle = "rgba(199, 125, 255, 0.9)";
+			ctx.lineWidth = 1.5;
+			ctx.stroke();
+			ctx.beginPath();
+			ctx.arc(points[0].x, points[0].y, 5, 0, 2 * Math.PI);
+			ctx.fillStyle = "#c77dff";
+			ctx.fill();
+		}
+
+		ctx.restore();
+	};
+
+	view.addLayer(drawLayer, { under: true });
+
+	return {
+		get area() {
+			return area.map((p) => ({ ...p }));
+		},
+
+		get enabled() {
+			return enabled;
+		},
+
+		setArea(points) {
+			area = points.map((p) => ({ lat: p.lat, lon: p.lon }));
+			if (!view.origin && area.length) view.setOrigin(area[0].lat, area[0].lon);
+			view.draw();
+		},
+
+		setPreview(waypoints) {
+			preview = waypoints.map((wp) => ({ lat: wp.lat, lon: wp.lon }));
+			view.draw();
+		},
+
+		enable() {
+			enabled = true;
+			view.setTool(tool);
+			view.draw();
+		},
+
+		disable() {
+			enabled = false;
+			dragging = null;
+			view.setTool(null);
+			view.draw();
+		},
+	};
+};
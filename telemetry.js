@@ -0,0 +1,225 @@
+// Shared telemetry client for the dashboard and the trajectory mapper.
+// Tries the WebSocket feed first, falls back to HTTP polling and reconnects
+// with exponential backoff when either transport drops.
+const createTelemetryClient = (options = {}) => {
+	const settings = {
+		baseUrl: "http://localhost:5001",
+		pollPath: "/context",
+		wsPath: "/ws",
+		pollInterval: 2000,
+		wsTimeout: 3000,
+		reconnectDelay: 1000,
+		maxReconnectDelay: 30000,
+		useWebSocket: true,
+		// `/context` wraps telemetry in `{ data: {...} }`, `/vehicle_data` and `/ws` do not
+		select: (body) => (body && typeof body.data === "object" ? body.data : body),
+		fetch: (input, init) => fetch(input, init), // e.g. to attach credentials
+		...options,
+	};
+
+	const listeners = {
+		data: new Set(),
+		status: new Set(),
+		error: new Set(),
+	};
+
+	let socket = null;
+	let pollTimer = null;
+	let reconnectTimer = null;
+	let generation = 0;
+	let attempt = 0;
+	let active = false;
+	let status = "idle";
+	let transport = null;
+
+	const emit = (event, payload) => {
+		listeners[event].forEach((handler) => {
+			try {
+				handler(payload);
+			} catch (error) {
+				console.error(`Telemetry ${event} handler failed:`, error);
+			}
+		});
+	};
+
+	const setStatus = (next, nextTransport = transport) => {
+		status = next;
+		transport = nextTransport;
+		emit("status", { status, transport, attempt });
+	};
+
+	const wsUrl = () => settings.baseUrl.replace(/^http/, "ws") + settings.wsPath;
+
+	const closeTransports = () => {
+		generation += 1;
+		if (socket) {
+			socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+			socket.close();
+			socket = null;
+		}
+		if (pollTimer) {
+			clearTimeout(pollTimer);
+			pollTimer = null;
+		}
+	};
+
+	const scheduleReconnect = (reason) => {
+		closeTransports();
+		if (!active || reconnectTimer) return;
+
+		const delay = Math.min(
+			settings.maxReconnectDelay,
+			settings.reconnectDelay * 2 ** attempt
+		);
+		attempt += 1;
+		setStatus("reconnecting", null);
+		emit("error", { reason, retryIn: delay });
+
+		reconnectTimer = setTimeout(() => {
+			reconnectTimer = null;
+			open();
+		}, delay);
+	};
+
+	const tryWebSocket = () =>
+		new Promise((resolve, reject) => {
+			let settled = false;
+			const ws = new WebSocket(wsUrl());
+			socket = ws;
+
+			const timeout = setTimeout(() => {
+				if (settled) return;
+				settled = true;
+				ws.onopen = ws.onerror = ws.onclose = null;
+				ws.close();
+				reject(new Error("WebSocket timeout"));
+			}, settings.wsTimeout);
+
+			ws.onopen = () => {
+				settled = true;
+				clearTimeout(timeout);
+				resolve();
+			};
+
+			ws.onmessage = (event) => {
+				try {
+					emit("data", settings.select(JSON.parse(event.data)));
+				} catch (error) {
+					emit("error", { reason: "Error parsing WebSocket data" });
+				}
+			};
+
+			ws.onerror = () => {
+				if (settled) return;
+				settled = true;
+				clearTimeout(timeout);
+				reject(new Error("WebSocket error"));
+			};
+
+			ws.onclose = () => {
+				if (!settled) {
+					settled = true;
+					clearTimeout(timeout);
+					reject(new Error("WebSocket closed"));
+					return;
+				}
+				if (socket === ws) scheduleReconnect("WebSocket disconnected");
+			};
+		});
+
+	const poll = async (current) => {
+		pollTimer = null;
+		try {
+			const response = await settings.fetch(`${settings.baseUrl}${settings.pollPath}`, {
+				headers: { "Content-Type": "application/json" },
+			});
+			if (!response.ok) throw new Error(`HTTP ${response.status}`);
+			const body = await response.json();
+			if (!active || current !== generation) return;
+			if (status !== "open") {
+				attempt = 0;
+				setStatus("open", "http");
+			}
+			emit("data", settings.select(body));
+			pollTimer = setTimeout(() => poll(current), settings.pollInterval);
+		} catch (error) {
+			if (active && current === generation) scheduleReconnect(`Fetch error: ${error.message}`);
+		}
+	};
+
+	const startPolling = () => {
+		transport = "http";
+		poll(generation);
+	};
+
+	const open = async () => {
+		if (!active) return;
+		const current = generation;
+		setStatus("connecting", null);
+
+		if (settings.useWebSocket && typeof WebSocket !== "undefined") {
+			try {
+				await tryWebSocket();
+				if (!active || current !== generation) return;
+				attempt = 0;
+				setStatus("open", "websocket");
+				return;
+			} catch (error) {
+				if (!active || current !== generation) return;
+				socket = null;
+				emit("error", { reason: "WebSocket unavailable, using HTTP polling" });
+			}
+		}
+		startPolling();
+	};
+
+	return {
+		get status() {
+			return status;
+		},
+
+		get transport() {
+			return transport;
+		},
+
+		get baseUrl() {
+			return settings.baseUrl;
+		},
+
+		connect() {
+			if (active) return;
+			active = true;
+			attempt = 0;
+			open();
+		},
+
+		disconnect() {
+			active = false;
+			if (reconnectTimer) {
+				clearTimeout(reconnectTimer);
+				reconnectTimer = null;
+			}
+			closeTransports();
+			setStatus("closed", null);
+		},
+
+		setBaseUrl(baseUrl) {
+			if (baseUrl === settings.baseUrl) return;
+			settings.baseUrl = baseUrl;
+			if (active) {
+				this.disconnect();
+				this.connect();
+			}
+		},
+
+		subscribe(event, handler) {
+			if (!listeners[event]) throw new Error(`Unknown telemetry event: ${event}`);
+			listeners[event].add(handler);
+			return () => this.unsubscribe(event, handler);
+		},
+
+		unsubscribe(event, handler) {
+			if (listeners[event]) listeners[event].delete(handler);
+		},
+	};
+};
@@ -0,0 +1,270 @@
+// Trajectory canvas for the dashboard. Uses the same origin logic as the
+// trajectory mapper (cobatrj.html): the first fix becomes (0,0) and positions
+// are converted to meters with a flat 111 km/degree approximation, x east and
+// y south so they map straight onto canvas pixels.
+//
+// Extra drawing goes through layers (`addLayer`) and pointer editing through
+// tools (`setTool`); a tool's pointerdown returns true to take over a drag
+// that would otherwise pan the view.
+const createTrajectoryView = (canvas, options = {}) => {
+	const settings = {
+		metersPerDegree: 111000,
+		minStep: 0.3, // meters between recorded trail points
+		clickTolerance: 4, // pixels of movement still counted as a click
+		...options,
+	};
+
+	const ctx = canvas.getContext("2d");
+	const layers = { under: [], over: [] };
+
+	let origin = null;
+	let trail = [];
+	let heading = 0;
+	let online = false;
+	let zoom = 1;
+	let panX = 0;
+	let panY = 0;
+	let tool = null;
+	let pointer = null;
+
+	const toXY = (lat, lon) => ({
+		x: (lon - origin.lon) * settings.metersPerDegree * Math.cos((origin.lat * Math.PI) / 180),
+		y: -(lat - origin.lat) * settings.metersPerDegree,
+	});
+
+	const toLatLon = (x, y) => ({
+		lat: origin.lat - y / settings.metersPerDegree,
+		lon: origin.lon + x / (settings.metersPerDegree * Math.cos((origin.lat * Math.PI) / 180)),
+	});
+
+	const worldToScreen = (x, y) => ({
+		x: canvas.width / 2 + x * zoom + panX,
+		y: canvas.height / 2 + y * zoom + panY,
+	});
+
+	const screenToWorld = (x, y) => ({
+		x: (x - canvas.width / 2 - panX) / zoom,
+		y: (y - canvas.height / 2 - panY) / zoom,
+	});
+
+	// Canvas pixels, accounting for CSS scaling of the element
+	const eventPoint = (event) => {
+		const rect = canvas.getBoundingClientRect();
+		return {
+			x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+			y: ((event.clientY - rect.top) * canvas.height) / rect.height,
+		};
+	};
+
+	const drawGrid = () => {
+		ctx.strokeStyle = "rgba(0, 217, 255, 0.15)";
+		ctx.lineWidth = 1;
+
+		const gridSize = 50 * zoom;
+		const offsetX = (((canvas.width / 2 + panX) % gridSize) + gridSize) % gridSize;
+		const offsetY = (((canvas.height / 2 + panY) % gridSize) + gridSize) % gridSize;
+
+		for (let x = offsetX; x < canvas.width; x += gridSize) {
+			ctx.beginPath();
+			ctx.moveTo(x, 0);
+			ctx.lineTo(x, canvas.height);
+			ctx.stroke();
+		}
+		for (let y = offsetY; y < canvas.height; y += gridSize) {
+			ctx.beginPath();
+			ctx.moveTo(0, y);
+			ctx.lineTo(canvas.width, y);
+			ctx.stroke();
+		}
+	};
+
+	const drawTrail = () => {
+		if (trail.length > 1) {
+			ctx.beginPath();
+			trail.forEach((point, index) => {
+				const screen = worldToScreen(point.x, point.y);
+				if (index === 0) ctx.moveTo(screen.x, screen.y);
+				else ctx.lineTo(screen.x, screen.y);
+			});
+			ctx.strokeStyle = "#00ff88";
+			ctx.lineWidth = 2;
+			ctx.stroke();
+		}
+
+		if (trail.length > 0) {
+			const last = trail[trail.length - 1];
+			const screen = worldToScreen(last.x, last.y);
+			ctx.save();
+			ctx.translate(screen.x, screen.y);
+			ctx.rotate((heading * Math.PI) / 180);
+			ctx.beginPath();
+			ctx.moveTo(0, -15);
+			ctx.lineTo(-8, 10);
+			ctx.lineTo(8, 10);
+			ctx.closePath();
+			ctx.fillStyle = online ? "#00d9ff" : "#666";
+			ctx.fill();
+			ctx.strokeStyle = online ? "#00ffbb" : "#888";
+			ctx.lineWidth = 2;
+			ctx.stroke();
+			ctx.restore();
+		}
+
+		if (origin) {
+			const screen = worldToScreen(0, 0);
+			ctx.beginPath();
+			ctx.arc(screen.x, screen.y, 6, 0, 2 * Math.PI);
+			ctx.strokeStyle = "#ff4444";
+			ctx.lineWidth = 2;
+			ctx.stroke();
+		}
+	};
+
+	const view = {
+		canvas,
+		ctx,
+
+		get origin() {
+			return origin;
+		},
+
+		get trail() {
+			return trail;
+		},
+
+		get zoom() {
+			return zoom;
+		},
+
+		toXY,
+		toLatLon,
+		worldToScreen,
+		screenToWorld,
+
+		setOrigin(lat, lon) {
+			origin = { lat, lon };
+			trail = [];
+		},
+
+		ensureOrigin(lat, lon) {
+			if (!origin) this.setOrigin(lat, lon);
+			return origin;
+		},
+
+		// Returns the meters added to the trail (0 when the move was too small)
+		addPosition(lat, lon, t = Date.now()) {
+			this.ensureOrigin(lat, lon);
+			const point = { ...toXY(lat, lon), lat, lon, t };
+			const last = trail[trail.length - 1];
+			const step = last ? Math.hypot(point.x - last.x, point.y - last.y) : 0;
+			if (last && step <= settings.minStep) return 0;
+			trail.push(point);
+			return step;
+		},
+
+		setVehicle(nextHeading, nextOnline) {
+			heading = Number(nextHeading) || 0;
+			online = Boolean(nextOnline);
+		},
+
+		clear() {
+			origin = null;
+			trail = [];
+			this.draw();
+		},
+
+		resetView() {
+			zoom = 1;
+			panX = 0;
+			panY = 0;
+			this.draw();
+		},
+
+		addLayer(draw, { under = false } = {}) {
+			layers[under ? "under" : "over"].push(draw);
+		},
+
+		setTool(next) {
+			tool = next;
+			canvas.style.cursor = tool ? "crosshair" : "grab";
+		},
+
+		draw() {
+			ctx.fillStyle = "#0f1419";
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+			drawGrid();
+			layers.under.forEach((layer) => layer(ctx, view));
+			drawTrail();
+			layers.over.forEach((layer) => layer(ctx, view));
+		},
+	};
+
+	canvas.addEventListener("wheel", (event) => {
+		event.preventDefault();
+		zoom = Math.max(0.1, Math.min(10, zoom + (event.deltaY > 0 ? -0.1 : 0.1)));
+		view.draw();
+	});
+
+	canvas.addEventListener("mousedown", (event) => {
+		if (event.button !== 0) return;
+		const point = eventPoint(event);
+		const world = screenToWorld(point.x, point.y);
+		pointer = { start: point, last: point, moved: 0, claimed: false };
+		if (tool && tool.pointerdown && origin) {
+			pointer.claimed = Boolean(tool.pointerdown(world, event));
+		}
+	});
+
+	canvas.addEventListener("mousemove", (event) => {
+		const point = eventPoint(event);
+		const world = screenToWorld(point.x, point.y);
+		if (!pointer) {
+			if (tool && tool.hover && origin) tool.hover(world, event);
+			return;
+		}
+		pointer.moved += Math.abs(point.x - pointer.last.x) + Math.abs(point.y - pointer.last.y);
+		if (pointer.claimed) {
+			tool.pointermove(world, event);
+		} else {
+			panX += point.x - pointer.last.x;
+			panY += point.y - pointer.last.y;
+		}
+		pointer.last = point;
+		view.draw();
+	});
+
+	canvas.addEventListener("mouseup", (event) => {
+		if (!pointer) return;
+		const point = eventPoint(event);
+		const world = screenToWorld(point.x, point.y);
+		if (pointer.claimed && tool && tool.pointerup) {
+			tool.pointerup(world, event);
+		} else if (pointer.moved < settings.clickTolerance && tool && tool.click) {
+			tool.click(world, event);
+		}
+		pointer = null;
+		view.draw();
+	});
+
+	// Leaving the canvas ends a drag where the pointer was last seen, so the
+	// tool still gets its pointerup
+	canvas.addEventListener("mouseleave", () => {
+		if (!pointer) return;
+		if (pointer.claimed && tool && tool.pointerup) {
+			tool.pointerup(screenToWorld(pointer.last.x, pointer.last.y));
+		}
+		pointer = null;
+		view.draw();
+	});
+
+	canvas.addEventListener("contextmenu", (event) => {
+		if (!tool || !tool.contextmenu || !origin) return;
+		event.preventDefault();
+		const point = eventPoint(event);
+		tool.contextmenu(screenToWorld(point.x, point.y), event);
+		view.draw();
+	});
+
+	canvas.style.cursor = "grab";
+	return view;
+};
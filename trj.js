@@ -27,6 +27,8 @@ const state = {
     startTime: null,
     lastUpdateTime: 0,
     pixelsPerMeter: CONFIG.SCALE,
+    overlays: [],
+    clearOverlaysButton: null,
 };
 
 // ============================================
@@ -41,6 +43,14 @@ function init() {
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
     
+    // Drop GPX/KML files on the canvas to show them as overlays
+    state.canvas.addEventListener('dragover', (e) => e.preventDefault());
+    state.canvas.addEventListener('drop', (e) => {
+        e.preventDefault();
+        [...e.dataTransfer.files].forEach(loadOverlay);
+    });
+    createOverlayControls();
+    
     // Start GPS tracking automatically
     console.log('%c🛰️ GPS Tracker Initialized', 'color: #0f0; font-size: 14px; font-weight: bold');
     console.log('%c📍 Auto-starting GPS tracking...', 'color: #0af; font-size: 12px');
@@ -223,6 +233,7 @@ function drawCanvas() {
     // Draw components
     drawGrid();
     drawAxes();
+    drawOverlays();
     drawOrigin();
     
     if (state.path.length > 0) {
@@ -319,6 +330,16 @@ function drawOrigin() {
     ctx.fillText('(0,0)', origin.canvasX + 12, origin.canvasY - 5);
 }
 
+function drawOverlays() {
+    if (!state.originGPS || state.overlays.length === 0) return;
+    
+    drawGeoOverlays(state.ctx, state.overlays, (lat, lon) => {
+        const xy = gpsToXY(lat, lon);
+        const coords = xyToCanvas(xy.x, xy.y);
+        return { x: coords.canvasX, y: coords.canvasY };
+    });
+}
+
 function drawPath() {
     const ctx = state.ctx;
     
@@ -513,9 +534,73 @@ window.exportCSV = function() {
     return csv;
 };
 
+// ============================================
+// OVERLAYS (GPX/KML, parsed by geo-import.js)
+// ============================================
+// Pages that only include trj.js get geo-import.js from next to this script
+const GEO_IMPORT_SRC = new URL('geo-import.js', document.currentScript.src).href;
+let geoImportLoading = null;
+
+function ensureGeoImport() {
+    if (typeof parseGeoFile === 'function') return Promise.resolve();
+    if (!geoImportLoading) {
+        geoImportLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = GEO_IMPORT_SRC;
+            script.onload = resolve;
+            script.onerror = () => {
+                geoImportLoading = null;
+                reject(new Error(`${GEO_IMPORT_SRC} could not be loaded`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return geoImportLoading;
+}
+
+function createOverlayControls() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = '🗑️ Clear overlays';
+    button.style.cssText = 'position: absolute; top: 10px; left: 10px; display: none;';
+    button.addEventListener('click', clearOverlays);
+    document.getElementById('canvasContainer').appendChild(button);
+    state.clearOverlaysButton = button;
+}
+
+function updateOverlayControls() {
+    if (state.clearOverlaysButton) {
+        state.clearOverlaysButton.style.display = state.overlays.length ? 'block' : 'none';
+    }
+}
+
+async function loadOverlay(file) {
+    try {
+        await ensureGeoImport();
+        const features = parseGeoFile(await file.text());
+        state.overlays.push(...features);
+        console.log(`%c🗺️ Loaded ${features.length} overlay feature(s) from ${file.name}`, 'color: #0af');
+        if (!state.originGPS) console.log('Overlays are drawn once the GPS origin is set');
+        updateOverlayControls();
+        drawCanvas();
+    } catch (err) {
+        console.error(`Overlay ${file.name} not loaded:`, err.message);
+    }
+}
+
+function clearOverlays() {
+    state.overlays = [];
+    updateOverlayControls();
+    drawCanvas();
+}
+
+window.loadOverlay = loadOverlay;
+window.clearOverlays = clearOverlays;
+
 console.log('%cℹ️ Data Access Commands:', 'color: #fa0; font-weight: bold');
 console.log('  getTrackingData() - View tracking data');
 console.log('  exportCSV() - Export as CSV');
+console.log('  clearOverlays() - Remove GPX/KML overlays (drop files on the canvas to add, or use the Clear overlays button)');
 
 // ============================================
 // START APPLICATION
@@ -0,0 +1,105 @@
+// Parses the waypoint text boxes: one `lat,lon[,alt|depth][,speed]` per line.
+// Blank lines and `#` comments are ignored. Every problem is reported with its
+// line number so the operator can fix the list before anything is sent.
+const WAYPOINT_LIMITS = {
+	maxSpeed: 20, // m/s
+	duplicateTolerance: 1e-7, // degrees
+};
+
+const parseWaypointNumber = (raw, name, lineNo, errors) => {
+	const text = raw.trim();
+	if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+		errors.push({ line: lineNo, message: `Malformed ${name} "${text}"` });
+		return null;
+	}
+	return Number(text);
+};
+
+// `verticalKey` is "alt" for the surface list and "depth" for the underwater one
+const parseWaypoints = (text, verticalKey = "alt") => {
+	const waypoints = [];
+	const errors = [];
+	const seen = [];
+
+	String(text)
+		.split(/\r?\n/)
+		.forEach((rawLine, index) => {
+			const lineNo = index + 1;
+			const line = rawLine.replace(/#.*$/, "").trim();
+			if (line === "") return;
+
+			const fields = line.split(/\s*,\s*/);
+			if (fields.length < 2 || fields.length > 4) {
+				errors.push({ line: lineNo, message: `Expected lat,lon[,${verticalKey}][,speed], got ${fields.length} field(s)` });
+				return;
+			}
+
+			const before = errors.length;
+			const [lat, lon] = [
+				parseWaypointNumber(fields[0], "latitude", lineNo, errors),
+				parseWaypointNumber(fields[1], "longitude", lineNo, errors),
+			];
+			const vertical = fields[2] !== undefined && fields[2] !== "" ? parseWaypointNumber(fields[2], verticalKey, lineNo, errors) : 0;
+			const speed = fields[3] !== undefined && fields[3] !== "" ? parseWaypointNumber(fields[3], "speed", lineNo, errors) : null;
+			if (errors.length > before) return;
+
+			if (lat < -90 || lat > 90) errors.push({ line: lineNo, message: `Latitude ${lat} out of range [-90, 90]` });
+			if (lon < -180 || lon > 180) errors.push({ line: lineNo, message: `Longitude ${lon} out of range [-180, 180]` });
+			if (verticalKey === "depth" && vertical < 0) errors.push({ line: lineNo, message: `Depth ${vertical} cannot be negative` });
+			if (speed !== null && (speed <= 0 || speed > WAYPOINT_LIMITS.maxSpeed)) {
+				errors.push({ line: lineNo, message: `Speed ${speed} out of range (0, ${WAYPOINT_LIMITS.maxSpeed}] m/s` });
+			}
+
+			const duplicate = seen.find(
+				(p) =>
+					Math.abs(p.lat - lat) <= WAYPOINT_LIMITS.duplicateTolerance &&
+					Math.abs(p.lon - lon) <= WAYPOINT_LIMITS.duplicateTolerance
+			);
+			if (duplicate) errors.push({ line: lineNo, message: `Duplicate of line ${duplicate.line}` });
+			if (errors.length > before) return;
+
+			seen.push({ lat, lon, line: lineNo });
+			waypoints.push({ seq: waypoints.length + 1, lat, lon, [verticalKey]: vertical, speed });
+		});
+
+	return { waypoints, errors };
+};
+
+const formatWaypoints = (waypoints, verticalKey = "alt") =>
+	waypoints
+		.map((wp) => {
+			const fields = [wp.lat.toFixed(7), wp.lon.toFixed(7)];
+			const vertical = Number(wp[verticalKey]) || 0;
+			if (vertical || wp.speed) fields.push(String(Number(vertical.toFixed(2))));
+			if (wp.speed) fields.push(String(wp.speed));
+			return fields.join(",");
+		})
+		.join("\n");
+
+// Applies one map edit (see createMissionEditor) to the waypoint text and
+// leaves comments, blank lines and the other waypoints' lines as the operator
+// wrote them. Only meaningful for text without errors, where the n-th
+// non-comment line is waypoint n.
+const applyWaypointEdit = (text, edit, waypoints, verticalKey = "alt") => {
+	if (!edit || String(text).trim() === "") return formatWaypoints(waypoints, verticalKey);
+	const lines = String(text).split(/\r?\n/);
+	const waypointLines = [];
+	lines.forEach((line, index) => {
+		if (line.replace(/#.*$/, "").trim() !== "") waypointLines.push(index);
+	});
+	const at = waypointLines[edit.index];
+	const formatted = waypoints[edit.index] ? formatWaypoints([waypoints[edit.index]], verticalKey) : "";
+
+	if (edit.type === "add") {
+		const after = waypointLines.length ? waypointLines[waypointLines.length - 1] + 1 : lines.length;
+		lines.splice(after, 0, formatted);
+	} else if (edit.type === "move" && at !== undefined) {
+		const comment = lines[at].match(/\s*#.*$/);
+		lines[at] = formatted + (comment ? comment[0] : "");
+	} else if (edit.type === "delete" && at !== undefined) {
+		lines.splice(at, 1);
+	} else {
+		return formatWaypoints(waypoints, verticalKey);
+	}
+	return lines.join("\n");
+};